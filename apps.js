@@ -11,13 +11,78 @@
 //   + relaxes manual bootstrap when ?sel is present
 //   + reduces assignMap/driverMeta/batchItems to the visible selection + focus days
 // - Prevents blank shots (leaflet-image), draws banner onto snapshot, snapshot dock, Drive Direct webhook fallback.
+// - Live refresh: cfg.behavior.refreshSeconds (or ?refresh=N) re-polls the selection + customers CSVs and
+//   patches only what changed (viewport, focus and driver toggles are kept).
+// - cfg.layersUnion: per-day service perimeters drawn as a bold outline tier under the zones (legend toggle; a click
+//   on an outline lists its municipalities); opt-in cfg.behavior.maskBoundary = "union" clips the boundaryCanvas
+//   mask to them instead of every zone feature.
+// - Export (legend): one row per customer → CSV + GeoJSON with matched zone key/tier, day, municipality, driver.
+// - Pick zones (legend): click base/quadrant/subquadrant polygons to build manualSelectedKeys; copy as keys or CSV rows
+//   (one "day, zone keys" row per day).
+// - Assign (Drivers panel): arm a driver, click or Shift+drag-lasso zones to reassign them; export assignMap JSON / CSV.
+// - Workload (toolbar ⚖ / W): per day × driver totals of every batchItem's stats + customers + overlay area;
+//   rows off the day's mean by more than cfg.workload.thresholdPct (or ?imbalance=N) on cfg.workload.metric are flagged.
+// - Copy link (legend): ?view= (deflated websafe b64 JSON, "z"-prefixed; plain b64 JSON still read) carries route index, focused zone, picked keys, edited assigns,
+//   driver toggles, outside/perimeter toggles and map center/zoom; restored at boot on top of the other params.
+// - Packet (toolbar 📄, or headless ?packet=1): one PDF — overview cover + a page per batch item with map, banner stats,
+//   municipalities and customer notes — saved through the dock / webhook / Drive Direct like a PNG (jsPDF from
+//   ./vendor/jspdf).
+// - Offline (cfg.offline.enabled or ?offline=1; ?offline=0 wins): ./sw.js precaches cfg, layers and ./vendor libs,
+//   keeps the last selection/customer CSVs and, for self-hosted or allowPrecache basemaps only, the selection's tiles
+//   (fitWithHints zooms, ≤ cfg.offline.maxTiles); offline copies raise a "stale since …" badge.
+// - Order (toolbar 🧭 / O): focused route's in-selection customers sequenced from cfg.routing.depot (it.depot / ?depot=)
+//   by nearest neighbour + 2-opt on straight-line km × cfg.routing.roadFactor; numbered path on map + snapshots,
+//   distance on the banner, stop list export (CSV / GeoJSON).
+// - Zone keys: cfg.keys.dayPrefixes / quadrants / subquadrants and cfg.days drive key parsing, per-day counters and
+//   legend rows (defaults: W/T/F/S → Wednesday–Saturday, NE/NW/SE/SW, TL/TR/LL/LR).
+// - cfg.style.unselectedMode (or ?unselected=): hide | dim (rest of the selected days' zones, faint) | outline (their
+//   borders only) | context (any day's zones within cfg.style.contextKm of the selection). Finer siblings of a
+//   partially selected zone stand in for their base.
+// - Selection CSV day column (cfg.selection.schema.day): keys are tagged by row day (status line groups by it) and
+//   prefix/day contradictions are reported; a legend day switcher filters the selection (mergeDays:false → one day).
+// - ?lint=1: layer linter — duplicate / unparseable / misplaced keys, Zone-vs-layer day, orphan quadrants, child area
+//   vs parent (cfg.lint.areaTolerancePct), same-day overlaps and gaps; problems listed in #lint and outlined on the map.
+// - Customers: zoom-aware grid clustering (per selected day / outside, below cfg.customers.cluster.maxZoom) and an
+//   optional canvas density heatmap; both legend toggles, persisted, fed only by markers the selection logic shows.
+// - Search box ("/"): zone keys, municipalities, drivers and customer notes, grouped; ↑/↓/Enter/Esc navigate.
+// - Basemaps from cfg.basemaps (any XYZ source incl. local folders / tile servers), map switcher, remembered choice,
+//   ?basemap=<id>; the boundary mask and offline tile precache follow the active source.
+// - Customer CSV schema maps any number of named columns (name, address, day, box, status…): shown in popups,
+//   legend filters (hidden + uncounted), colour-by field and cfg.style.customers.shapeBy; exported as cust* columns.
+// - Embedding: window.DispatchViewer (setSelection, setAssignMap, setDriverMeta, next/prev/showRoute, snapshot…)
+//   mirrored over postMessage ('dispatchviewer:call' → 'dispatchviewer:result'), with ready / selectionchanged /
+//   routefocused / snapshot / error events. The bridge only talks to ?embedOrigin= / cfg.embed.allowedOrigins —
+//   none set, no messages in or out.
+// - Snapshot templates (cfg.snapshot.templates, ?template=): anchored title / banner / legend / scale bar / north
+//   arrow / logo / footer regions painted on framed, auto-export and API captures; "classic" (the DOM banner)
+//   is the default, "dispatch" an opt-in layout.
+// - Snapshot output (cfg.snapshot.output, ?scale= ?format= ?quality=): 1–3× captures re-rendered on a hidden map
+//   (tiles one or two zooms deeper, path weights scaled) as PNG / JPEG / WebP; names, dock preview, Drive metadata
+//   and webhook payloads follow the encoded type: the file is always the typed data URL in pngBase64 (PNG, JPEG,
+//   WebP or a packet's PDF alike), told apart by mimeType.
+// - Upload queue (toolbar ⇪): dock saves, auto-export and ?packet=1 uploads persist in IndexedDB, retry with
+//   exponential backoff (cfg.uploads) and resume after a reload; idempotencyKey in the webhook payload / Drive
+//   appProperties lets retries de-duplicate; pending / failed / sent listed with retry and discard; 'upload' events.
+// - Headless batch (?batch= without ?manual): progress panel (item N of M) while capturing, then a run manifest per
+//   item (keys, matched zones, customers, file, target, Drive link / error) shown on screen, downloadable as JSON /
+//   CSV, raised as an 'exportdone' event and posted to ?cb= as a final { type: 'runManifest' } call.
+// - Storage targets (cfg.storage, ?storage=, ?storageMode=): http multipart POST with custom headers, S3-style
+//   presigned PUT (presign endpoint or the item's putUrl), a local folder via the File System Access API, plus the
+//   ?cb= webhook and Drive Direct; tried in order (fallback) or all at once (parallel), each target's status shown
+//   in the dock, the queue and the run manifest.
 
 (function () {
 
   // ---- Robust fetch helpers (top-level, single source of truth) ----
+  // url → ISO time of the offline copy sw.js answered with (cleared on the next live response)
+  const staleSources = new Map();
   async function fetchText(url) {
     const res = await fetch(url, { cache: 'no-store' });
     if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+    const since = res.headers.get('X-SW-Stale-Since');
+    const was = staleSources.get(url) || null;
+    if (since) staleSources.set(url, since); else staleSources.delete(url);
+    if ((since || null) !== was) window.dispatchEvent(new CustomEvent('dispatchviewer:stale'));
     return await res.text();
   }
   async function fetchJson(url) {
@@ -44,6 +109,10 @@
       const manualMode      = (qs.get('manual') === '1') || (!!batchParam && qs.get('auto') !== '1');
       const diagMode        = qs.get('diag') === '1';
       const cbUrl           = qs.get('cb') || '';
+      const viewParam       = await parseViewState(qs.get('view'));
+      const offlineParam    = qs.get('offline');
+      const lintMode        = qs.get('lint') === '1';
+      const embedOrigin     = qs.get('embedOrigin') || ''; // postMessage host, on top of cfg.embed.allowedOrigins
 
       // NEW: subset publishing flags
       const subsetOK     = (qs.get('subsetOK') === '1');
@@ -69,7 +138,44 @@
       let activeAssignMap = { ...assignMapParam };
       let currentIndex = -1;
       let manualSelectedKeys = null;
+      let emptySelectionPinned = false; // DispatchViewer.setSelection([]) — show nothing rather than the selection CSV
       let runtimeCustEnabled = null;
+      const pickMode = { on: false, tier: 'base' }; // click-to-select editing
+      let pickerEl = null;
+      const assignEdit = { on: false, driver: null, baseline: null }; // live assignMap editing
+      let keyGrammar = buildKeyGrammar({}); // replaced once cfg is loaded
+
+      // Embedding API: installed now so hosts can subscribe early; commands wait for viewerReady
+      const viewerListeners = new Map(); // event → Set(fn)
+      let markViewerReady = null;
+      const viewerReady = new Promise(res => { markViewerReady = res; });
+      installEmbedApi();
+      let workloadEl = null, workloadOn = false;
+      const sequence = { on: false, stops: [], km: 0, depot: null, depotGuessed: false }; // stop sequencer
+      let sequencerEl = null;
+      const lint = { problems: [], ranAt: 0 }; // ?lint=1 report
+      let lintEl = null;
+      const search = { results: [], active: -1 };
+      let searchEl = null;
+      const LINT_KINDS = {
+        duplicate: 'Duplicate keys',
+        unparsed:  'Unparseable keys',
+        day:       'Day mismatch',
+        orphan:    'No parent zone',
+        area:      'Child area ≠ parent',
+        overlap:   'Overlaps (same day)',
+        gap:       'Gaps (same day)'
+      };
+
+      // Live refresh: last fetched CSV bodies (used to skip no-op polls)
+      let lastSelectionText = null, lastCustomersText = null;
+
+      // Selection CSV day tagging (schema.day / mergeDays)
+      let selectionKeyDays = new Map(); // normalized key → Set(day)
+      let selectionDays = [], selectionDayConflicts = [], lastConflictSig = '';
+      let selectionDayChoice = viewParam.d ? String(viewParam.d) : null; // null = all days (mergeDays only)
+      let refreshTimer = null, lastRefreshAt = 0;
+      let customersGen = 0; // bumped by every full customer reload; stale refreshes bail
 
       // Outside highlight: persisted
       const LS_KEYS = {
@@ -77,14 +183,27 @@
         banner:'dispatchViewer.bannerPos',
         dock:  'dispatchViewer.snapDockPos',
         outside: 'dispatchViewer.highlightOutside',
+        union:   'dispatchViewer.showUnion',
+        basemap: 'dispatchViewer.basemap',
+        cluster: 'dispatchViewer.clusterCustomers',
+        heat:    'dispatchViewer.customerHeatmap',
         driveFolderCachePrefix: 'dispatchViewer.driveFolderId.'
       };
       let outsideHighlight = false;
       try { outsideHighlight = localStorage.getItem(LS_KEYS.outside) === '1'; } catch {}
+      let unionVisible = true;
+      try { const v = localStorage.getItem(LS_KEYS.union); if (v != null) unionVisible = v === '1'; } catch {}
+      let clusterOn = null, heatOn = null; // null → cfg.customers.cluster/heatmap.enabled once cfg is loaded
+      try { const v = localStorage.getItem(LS_KEYS.cluster); if (v != null) clusterOn = v === '1'; } catch {}
+      try { const v = localStorage.getItem(LS_KEYS.heat); if (v != null) heatOn = v === '1'; } catch {}
+      // a shared ?view= wins over this browser's stored toggles (not persisted back)
+      if (viewParam.o != null) outsideHighlight = !!viewParam.o;
+      if (viewParam.u != null) unionVisible = !!viewParam.u;
 
       // ---------- fetch config ----------
       phase('Loading config…');
       const cfg = await fetchJson(cfgUrl);
+      keyGrammar = buildKeyGrammar(cfg);
       // merge behavior fallbacks
       cfgSubsetOK = subsetOK || !!(cfg.behavior && cfg.behavior.subsetOK);
       cfgFocusDays = focusDays.length ? focusDays
@@ -100,22 +219,37 @@
 
       phase('Initializing map…');
       const map = L.map('map', { preferCanvas: true }).setView([43.55, -80.25], 8);
-      const osmTiles = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
-      const base = L.tileLayer(osmTiles, {
-        attribution: '&copy; OpenStreetMap contributors',
-        crossOrigin: 'anonymous'        // important for taint prevention
-      }).addTo(map);
+      const basemaps = basemapSources(cfg);
+      let base = null, maskTiles = null, basemapId = null;
+      applyBasemap(initialBasemapId(), true);
 
       // Collections/state
       const baseDayLayers = [], quadDayLayers = [], subqDayLayers = [], allDaySets=[baseDayLayers,quadDayLayers,subqDayLayers];
       let allBounds=null, selectionBounds=null, hasSelection=false;
       const boundaryFeatures = [];
+      const unionDayLayers = [], unionBoundaryFeatures = [];
+      map.createPane('unionPane').style.zIndex = 350; // below overlayPane (400) so zones stay on top
+      map.createPane('lintPane').style.zIndex = 450;  // lint highlights sit over the zones
 
       // Customers
       const customerLayer = L.layerGroup().addTo(map);
+      const sequenceLayer = L.layerGroup().addTo(map);
+      const lintLayer = L.layerGroup().addTo(map);
+      const clusterLayer = L.layerGroup().addTo(map); // stands in for customerLayer while clustering
+      let heatLayer = null;
+      if (clusterOn == null) clusterOn = cfg.customers?.cluster?.enabled !== false;
+      if (heatOn == null) heatOn = cfg.customers?.heatmap?.enabled === true;
+      const custFilter = {}; // schema field → value ('' / missing = any)
+      let custColorBy = String(cfg.style?.customers?.colorBy?.field || '');
       const customerMarkers = [];
       let customerCount=0, custWithinSel=0, custOutsideSel=0;
-      const custByDayInSel = { Wednesday:0, Thursday:0, Friday:0, Saturday:0 };
+      const custByDayInSel = {};
+      resetDayCounts();
+
+      // Point-in-polygon: bbox grid over every zone feature (built while loading), per-customer hit cache
+      const zoneIndex = createSpatialIndex(0.05);
+      let zoneOrdinal = 0;
+      let coverageAllLayers = new Set();
 
       // Selection/focus
       let coveragePolysAll=[], coveragePolysSelected=[];
@@ -123,16 +257,35 @@
       let selectedOrderedKeys = [];
       let visibleSelectedKeysSet = new Set();
       let driverSelectedCounts={}, driverOverlays={}, currentFocus=null;
+      const revealedZones = new Map(); // zone layer → day entry, shown by revealAndFocus past unselectedMode
+      let revealPending = null; // zone revealAndFocus is flying to — its own fit's movestart must not hide it again
+      const driversToggledOff = new Set(); // user-unchecked drivers survive panel re-renders
+      (Array.isArray(viewParam.off) ? viewParam.off : []).forEach(n => driversToggledOff.add(String(n).toLowerCase()));
+
+      // Offline worker (sw.js)
+      const offline = { reg: null, tilesKey: '', tilesDone: 0, tilesTotal: 0 };
 
       // Snap/dock/banner state
       let statsVisible = false;
       let snapArmed = false;
       let snapEls = null, dockEls = null;
       let lastPngDataUrl = null, lastSuggestedName = null;
+      let lastDocMime = 'image/png', lastDocCtx = null; // dock also carries route packets (application/pdf)
+      let packetBusy = false;
+      const snapImages = new Map(); // snapshot template images: src → Promise<HTMLImageElement|null>
+      const uploads = { items: new Map(), db: null, timer: null, pumping: null, ready: null }; // outbound queue: job id → job
+      let uploadsEl = null;
+      const folderHandles = new Map(); // folder storage target id → FileSystemDirectoryHandle
+      const STORAGE_TYPES = { drive: 'Drive Direct', webhook: 'Webhook', http: 'HTTP', s3: 'S3', folder: 'Local folder' };
+      let dockJobId = null; // upload job the dock is reporting on
+      let exportRunEl = null; // headless batch progress / run manifest
 
       // ---------- scaffolding (now that cfg exists) ----------
       renderLegend(cfg, {}, 0, 0, outsideHighlight);
       renderDriversPanel([], {}, false, {}, 0);
+      window.addEventListener('dispatchviewer:stale', renderStaleBadge);
+      if (!(batchParam && !manualMode)) registerOfflineWorker();
+      uploads.ready = initUploadQueue(); // enqueueUpload waits for it; boot doesn't
       updateDiagnostics();
 
       // ---------- load layers ----------
@@ -140,6 +293,7 @@
       await loadLayerSet(cfg.layers, baseDayLayers, true);
       if (cfg.layersQuadrants?.length)    await loadLayerSet(cfg.layersQuadrants,  quadDayLayers, true);
       if (cfg.layersSubquadrants?.length) await loadLayerSet(cfg.layersSubquadrants, subqDayLayers, true);
+      if (cfg.layersUnion?.length)        await loadUnionLayers(cfg.layersUnion);
 
       // NEW: surface status once layers done
       if (totalFeatureCount() === 0) {
@@ -150,17 +304,20 @@
       }
 
       // Optional boundary mask (plugin optional)
-      try {
-        if (L.TileLayer?.boundaryCanvas && boundaryFeatures.length) {
-          const boundaryFC = { type:'FeatureCollection', features: boundaryFeatures };
-          const maskTiles = L.TileLayer.boundaryCanvas(osmTiles, { boundary: boundaryFC, attribution: '' });
-          maskTiles.addTo(map).setZIndex(2); base.setZIndex(1);
-        }
-      } catch {}
-
-      map.on('click', () => { clearFocus(true); });
+      rebuildBoundaryMask();
+      if (manualMode || !batchItems.length) addBasemapControl();
+
+      map.on('click', (e) => {
+        if (!assignEdit.on) clearFocus(true);
+        const outline = unionOutlineAt(e.latlng);
+        if (outline) openUnionPopup(outline, e.latlng);
+      });
+      bindAssignLasso();
       map.on('movestart', () => { clearFocus(false); map.closePopup(); });
       map.on('zoomstart',  () => { map.closePopup(); });
+      map.on('zoomend', refreshCustomerClusters);
+      if (manualMode || !batchItems.length) ensureSearchUi();
+      if (heatOn) setHeatOn(true);
       setTimeout(()=>map.invalidateSize(), 50);
 
       // ---------- initial load ----------
@@ -171,6 +328,7 @@
       }
       await applySelection();
       await loadCustomersIfAny();
+      if (lintMode) runLayerLint();
       updateDiagnostics();
 
       // ---------- UI ----------
@@ -181,8 +339,10 @@
         ensureDockUi();
         await zoomToOverview();
       } else if (!manualMode && batchItems.length) {
-        await runAutoExport(batchItems);
+        if (qs.get('packet') === '1') await runPacketExport();
+        else await runAutoExport(batchItems);
       }
+      if (manualMode || !batchItems.length) { await restoreViewState(viewParam); startAutoRefresh(); }
 
       // =================================================================
       // Controls / Toolbar / Banner
@@ -193,11 +353,16 @@
         // toolbar
         const bar = document.createElement('div');
         bar.className = 'route-toolbar';
+        document.body.classList.add('has-toolbar');
         bar.innerHTML = `
           <button id="btnPrev" aria-label="Previous">◀ Prev</button>
           <button id="btnNext" aria-label="Next">Next ▶</button>
           <button id="btnStats" aria-label="Toggle stats">Stats</button>
+          <button id="btnLoad" aria-label="Toggle workload">⚖ Load</button>
+          <button id="btnOrder" aria-label="Toggle stop order">🧭 Order</button>
           <button id="btnSnap" aria-label="Snapshot">📸 Snap</button>
+          <button id="btnPacket" aria-label="Build route packet PDF">📄 Packet</button>
+          <button id="btnUploads" aria-label="Upload queue">⇪ Uploads</button>
         `;
         document.body.appendChild(bar);
 
@@ -217,7 +382,13 @@
         document.getElementById('btnPrev').addEventListener('click', async () => { await stepRouteCycle(-1); });
         document.getElementById('btnNext').addEventListener('click', async () => { await stepRouteCycle(+1); });
         document.getElementById('btnStats').addEventListener('click', toggleStats);
+        document.getElementById('btnLoad').addEventListener('click', () => setWorkloadVisible(!workloadOn));
+        document.getElementById('btnOrder').addEventListener('click', () => setSequenceMode(!sequence.on));
         document.getElementById('btnSnap').addEventListener('click', onSnapClick);
+        document.getElementById('btnPacket').addEventListener('click', onPacketClick);
+        document.getElementById('btnUploads').addEventListener('click', () => setUploadsPanelOpen(!uploadsPanelOpen()));
+        document.getElementById('btnUploads').classList.toggle('armed', uploadsPanelOpen());
+        updateUploadsButton();
 
         // keyboard
         window.addEventListener('keydown', async (e)=>{
@@ -227,6 +398,8 @@
           if (e.key === 'ArrowRight') { e.preventDefault(); await stepRouteCycle(+1); }
           else if (e.key === 'ArrowLeft') { e.preventDefault(); await stepRouteCycle(-1); }
           else if (e.key.toLowerCase() === 's') { e.preventDefault(); toggleStats(); }
+          else if (e.key.toLowerCase() === 'w') { e.preventDefault(); setWorkloadVisible(!workloadOn); }
+          else if (e.key.toLowerCase() === 'o') { e.preventDefault(); setSequenceMode(!sequence.on); }
           else if (e.key === 'Escape') { cancelFraming(); }
         });
 
@@ -283,11 +456,19 @@
         return [rowA, rowB];
       }
 
+      // Row 1 — plus the sequenced distance while stop order is on for this route
+      function bannerMetaRow(it){
+        const base = `Day:  ${it.day||''}   -   Driver:  ${it.driver||''}   -   Route Name:  ${it.name||''}`;
+        const seq = (sequence.on && sequence.stops.length && batchItems[currentIndex] === it)
+          ? `   -   Est. distance:  ${sequence.km.toFixed(1)} km (${sequence.stops.length} stops)` : '';
+        return base + seq;
+      }
+
       function renderDispatchBanner(it){
         const banner = document.getElementById('dispatchBanner'); if (!banner) return;
         if (!it) { banner.classList.remove('visible'); return; }
         const s = getStatsNumbers(it.stats || {});
-        const row1 = `Day:  ${it.day||''}   -   Driver:  ${it.driver||''}   -   Route Name:  ${it.name||''}`;
+        const row1 = bannerMetaRow(it);
         const [row2, row3] = buildStatsRows(s);
 
         const r1 = banner.querySelector('.r1');
@@ -306,7 +487,7 @@
         if (!domBanner || !domBanner.classList.contains('visible')) return;
 
         const s = getStatsNumbers(it.stats || {});
-        const row1 = `Day:  ${it.day||''}   -   Driver:  ${it.driver||''}   -   Route Name:  ${it.name||''}`;
+        const row1 = bannerMetaRow(it);
         const [row2, row3] = buildStatsRows(s);
 
         const bRect = domBanner.getBoundingClientRect();
@@ -356,6 +537,203 @@
         ctx.font = fSemi(stats1Px);let w2 = ctx.measureText(row2).width; ctx.fillText(row2, centerX(w2), yy); yy += lineH;
         ctx.font = fSemi(stats2Px);let w3 = ctx.measureText(row3).width; ctx.fillText(row3, centerX(w3), yy);
       }
+      // =================================================================
+      // Snapshot templates — cfg.snapshot.templates[name] is a list of regions:
+      //   { type: title|banner|legend|scale|north|logo|footer, anchor: top-left|top|top-right|bottom-left|bottom|bottom-right, … }
+      // Regions sharing an anchor stack inward from that edge. banner with anchor "dom" (the built-in "classic"
+      // template) keeps the old behaviour: the visible DOM banner, painted where it sits.
+      // =================================================================
+      function snapshotTemplate(){
+        const sc = cfg.snapshot || {};
+        const list = sc.templates?.[qs.get('template') || sc.template || 'classic'];
+        return Array.isArray(list) && list.length ? list : [{ type: 'banner', anchor: 'dom' }];
+      }
+
+      async function renderSnapshotTemplate(canvas, it, frameRect){
+        const frameW = (typeof frameRect?.width === 'number' && frameRect.width > 0) ? frameRect.width : canvas.width;
+        const k = canvas.width / Math.max(1, frameW);
+        const ctx = canvas.getContext('2d');
+        const margin = 12 * k, gap = 6 * k;
+        const used = {}; // anchor → height already stacked from its edge
+        for (const reg of snapshotTemplate()) {
+          try {
+            if (reg.type === 'banner' && (reg.anchor || 'dom') === 'dom') { drawBannerOntoCanvas(canvas, it, frameRect); continue; }
+            const anchor = ['top-left', 'top', 'top-right', 'bottom-left', 'bottom', 'bottom-right'].includes(reg.anchor) ? reg.anchor : 'top-left';
+            const box = await buildSnapshotRegion(ctx, reg, it, k, frameRect);
+            if (!box) continue;
+            const [v, h = 'center'] = anchor.split('-');
+            const x = h === 'left' ? margin : (h === 'right' ? canvas.width - margin - box.w : (canvas.width - box.w) / 2);
+            const y = v === 'top' ? margin + (used[anchor] || 0) : canvas.height - margin - (used[anchor] || 0) - box.h;
+            ctx.save(); box.draw(x, y); ctx.restore();
+            used[anchor] = (used[anchor] || 0) + box.h + gap;
+          } catch (err) { console.warn('[snapshot] region failed', reg, err); }
+        }
+      }
+
+      function fillSnapshotText(tpl, it){
+        const now = new Date();
+        const vals = {
+          day: it?.day || '', driver: it?.driver || '', route: it?.name || (it ? '' : 'Overview'),
+          keys: (it?.keys || []).join(', '), date: now.toLocaleDateString(), timestamp: now.toLocaleString()
+        };
+        // empty fields (overview has no day/driver) shouldn't leave dangling separators behind
+        return String(tpl).replace(/\{(\w+)\}/g, (m, k) => (k in vals ? vals[k] : m))
+          .replace(/(\s*[•|–-]\s*){2,}/g, ' • ').replace(/^\s*[•|–-]\s*|\s*[•|–-]\s*$/g, '');
+      }
+
+      // → { w, h, draw(x, y) } in canvas pixels, or null when the region has nothing to show
+      async function buildSnapshotRegion(ctx, reg, it, k, frameRect){
+        const family = 'system-ui, -apple-system, Segoe UI, Roboto, sans-serif';
+        const font = (px, wt = 600) => `${wt} ${Math.round(px)}px ${family}`;
+        const pad = (reg.paddingPx ?? 8) * k;
+        const panel = (x, y, w, h) => {
+          if (reg.background === false) return;
+          ctx.fillStyle = reg.background || 'rgba(255,255,255,0.92)';
+          roundRect(ctx, x, y, w, h, 8 * k).fill();
+        };
+        const textBlock = (lines, px, weight, align = 'left') => {
+          if (!lines.length) return null;
+          const lineH = px * 1.3;
+          ctx.font = font(px, weight);
+          const tw = Math.max(...lines.map(l => ctx.measureText(l).width));
+          return {
+            w: tw + pad * 2, h: lines.length * lineH + pad * 2,
+            draw(x, y) {
+              panel(x, y, tw + pad * 2, lines.length * lineH + pad * 2);
+              ctx.font = font(px, weight); ctx.fillStyle = reg.color || '#111'; ctx.textBaseline = 'middle';
+              lines.forEach((l, i) => {
+                const lw = ctx.measureText(l).width;
+                const lx = align === 'center' ? x + pad + (tw - lw) / 2 : x + pad;
+                ctx.fillText(l, lx, y + pad + lineH * (i + 0.5));
+              });
+            }
+          };
+        };
+
+        switch (reg.type) {
+          case 'title': {
+            const text = fillSnapshotText(reg.text ?? '{route}', it).trim();
+            return text ? textBlock([text], (reg.fontPx ?? 20) * k, 700) : null;
+          }
+          case 'footer': {
+            const text = fillSnapshotText(reg.text ?? '{timestamp}', it).trim();
+            return text ? textBlock([text], (reg.fontPx ?? 11) * k, 500) : null;
+          }
+          case 'banner': {
+            if (!it) return null;
+            const [r2, r3] = buildStatsRows(getStatsNumbers(it.stats || {}));
+            return textBlock([bannerMetaRow(it), r2, r3], (reg.fontPx ?? 13) * k, 600, 'center');
+          }
+          case 'legend': {
+            const items = [];
+            const days = new Set(coveragePolysSelected.map(r => r.layerRef?._day).filter(Boolean));
+            keyGrammar.days.filter(d => days.has(d)).forEach(d => {
+              const st = cfg.style?.perDay?.[d] || {};
+              items.push({ label: d, fill: st.fill || '#ccc', stroke: st.stroke || '#888' });
+            });
+            if (reg.drivers !== false) Object.entries(driverOverlays).forEach(([name, ov]) => {
+              if (map.hasLayer(ov.group)) items.push({ label: name, line: ov.color || '#333' });
+            });
+            if (!items.length) return null;
+            const px = (reg.fontPx ?? 12) * k, row = px * 1.5, sw = px * 1.1;
+            const title = reg.title ?? '';
+            ctx.font = font(px, 600);
+            const tw = Math.max(title ? ctx.measureText(title).width : 0, ...items.map(i => sw + px * 0.5 + ctx.measureText(i.label).width));
+            const h = pad * 2 + (items.length + (title ? 1 : 0)) * row;
+            return {
+              w: tw + pad * 2, h,
+              draw(x, y) {
+                panel(x, y, tw + pad * 2, h);
+                ctx.textBaseline = 'middle'; ctx.fillStyle = reg.color || '#111';
+                let yy = y + pad + row / 2;
+                if (title) { ctx.font = font(px, 700); ctx.fillText(title, x + pad, yy); yy += row; }
+                ctx.font = font(px, 600);
+                for (const i of items) {
+                  if (i.line) {
+                    ctx.strokeStyle = i.line; ctx.lineWidth = 3 * k; ctx.setLineDash([6 * k, 4 * k]);
+                    ctx.beginPath(); ctx.moveTo(x + pad, yy); ctx.lineTo(x + pad + sw, yy); ctx.stroke(); ctx.setLineDash([]);
+                  } else {
+                    ctx.fillStyle = i.fill; ctx.fillRect(x + pad, yy - sw / 2, sw, sw);
+                    ctx.strokeStyle = i.stroke; ctx.lineWidth = 2 * k; ctx.strokeRect(x + pad, yy - sw / 2, sw, sw);
+                  }
+                  ctx.fillStyle = reg.color || '#111';
+                  ctx.fillText(i.label, x + pad + sw + px * 0.5, yy);
+                  yy += row;
+                }
+              }
+            };
+          }
+          case 'scale': {
+            // metres per CSS pixel at the middle of the captured area
+            const mapRect = map.getContainer().getBoundingClientRect();
+            const fw = frameRect?.width || mapRect.width, fh = frameRect?.height || mapRect.height;
+            const cx = ((frameRect?.left ?? mapRect.left) - mapRect.left) + fw / 2;
+            const cy = ((frameRect?.top ?? mapRect.top) - mapRect.top) + fh / 2;
+            const a = map.containerPointToLatLng([cx, cy]), b = map.containerPointToLatLng([cx + 100, cy]);
+            const mpp = map.distance(a, b) / 100;
+            if (!(mpp > 0)) return null;
+            const maxM = mpp * (reg.maxWidthPx ?? 120);
+            const pow = 10 ** Math.floor(Math.log10(maxM));
+            const nice = [5, 2, 1].map(f => f * pow).find(v => v <= maxM) || pow;
+            const barW = (nice / mpp) * k;
+            const label = nice >= 1000 ? `${+(nice / 1000).toFixed(2)} km` : `${nice} m`;
+            const px = (reg.fontPx ?? 11) * k, barH = 6 * k;
+            ctx.font = font(px, 600);
+            const w = Math.max(barW, ctx.measureText(label).width) + pad * 2, h = pad * 2 + px * 1.3 + barH;
+            return {
+              w, h,
+              draw(x, y) {
+                panel(x, y, w, h);
+                ctx.font = font(px, 600); ctx.fillStyle = reg.color || '#111'; ctx.textBaseline = 'middle';
+                ctx.fillText(label, x + pad, y + pad + px * 0.65);
+                const by = y + pad + px * 1.3;
+                ctx.fillStyle = '#111'; ctx.fillRect(x + pad, by, barW / 2, barH);
+                ctx.fillStyle = '#fff'; ctx.fillRect(x + pad + barW / 2, by, barW / 2, barH);
+                ctx.strokeStyle = '#111'; ctx.lineWidth = 1 * k; ctx.strokeRect(x + pad, by, barW, barH);
+              }
+            };
+          }
+          case 'north': {
+            // Leaflet maps are always north-up
+            const s = (reg.sizePx ?? 32) * k;
+            const w = s + pad * 2, h = s * 1.45 + pad * 2;
+            return {
+              w, h,
+              draw(x, y) {
+                panel(x, y, w, h);
+                const cx = x + w / 2, top = y + pad, base = top + s;
+                ctx.fillStyle = '#111';
+                ctx.beginPath(); ctx.moveTo(cx, top); ctx.lineTo(cx + s * 0.32, base); ctx.lineTo(cx, base - s * 0.25); ctx.closePath(); ctx.fill();
+                ctx.fillStyle = '#fff'; ctx.strokeStyle = '#111'; ctx.lineWidth = 1.2 * k;
+                ctx.beginPath(); ctx.moveTo(cx, top); ctx.lineTo(cx - s * 0.32, base); ctx.lineTo(cx, base - s * 0.25); ctx.closePath(); ctx.fill(); ctx.stroke();
+                ctx.fillStyle = '#111'; ctx.font = font(s * 0.4, 700); ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+                ctx.fillText('N', cx, base + s * 0.25);
+              }
+            };
+          }
+          case 'logo': {
+            const img = await loadSnapshotImage(reg.src || './Logo_fbm.jpg');
+            if (!img || !img.naturalWidth) return null;
+            const iw = (reg.widthPx ?? 96) * k, ih = iw * (img.naturalHeight / img.naturalWidth);
+            return { w: iw + pad * 2, h: ih + pad * 2, draw(x, y) { panel(x, y, iw + pad * 2, ih + pad * 2); ctx.drawImage(img, x + pad, y + pad, iw, ih); } };
+          }
+          default:
+            console.warn('[snapshot] unknown region type', reg.type);
+            return null;
+        }
+      }
+
+      function loadSnapshotImage(src){
+        if (!snapImages.has(src)) snapImages.set(src, new Promise((resolve) => {
+          const img = new Image();
+          img.crossOrigin = 'anonymous'; // keep the capture canvas exportable
+          img.onload = () => resolve(img);
+          img.onerror = () => { console.warn('[snapshot] image failed', src); resolve(null); };
+          img.src = src;
+        }));
+        return snapImages.get(src);
+      }
+
       function roundRect(ctx, x, y, w, h, r) { ctx.beginPath(); ctx.moveTo(x + r, y); ctx.arcTo(x + w, y, x + w, y + h, r); ctx.arcTo(x + w, y + h, x, y + h, r); ctx.arcTo(x, y + h, x, y, r); ctx.arcTo(x, y, x + w, y, r); ctx.closePath(); return ctx; }
 
       // =================================================================
@@ -368,7 +746,11 @@
         else           currentIndex = (currentIndex === -1) ? N-1 : (currentIndex === 0 ? -1 : currentIndex-1);
 
         if (currentIndex === -1) { await zoomToOverview(); return; }
+        await showRoute(currentIndex);
+      }
 
+      async function showRoute(idx){
+        currentIndex = idx;
         const it = batchItems[currentIndex];
         manualSelectedKeys = (it.keys || []).map(normalizeKey);
         runtimeCustEnabled = true;
@@ -377,6 +759,7 @@
         if (selectionBounds) fitWithHints(selectionBounds, it?.view || null);
         renderDispatchBanner(it);
         updateButtons(); updateDiagnostics();
+        emitViewerEvent('routefocused', { index: currentIndex, route: routePayload(currentIndex) });
       }
 
       async function zoomToOverview(){
@@ -388,6 +771,7 @@
         await loadCustomersIfAny();
         if (selectionBounds) fitWithHints(selectionBounds, null);
         updateButtons(); updateDiagnostics();
+        emitViewerEvent('routefocused', { index: -1, route: null });
       }
 
       function updateButtons(){
@@ -396,7 +780,9 @@
         byId('btnPrev') && (byId('btnPrev').disabled = !batchItems.length);
         byId('btnNext') && (byId('btnNext').disabled = !batchItems.length);
         byId('btnStats') && (byId('btnStats').disabled = !haveFocus);
+        byId('btnLoad')  && (byId('btnLoad').disabled  = !batchItems.length);
         byId('btnSnap')  && (byId('btnSnap').disabled  = !haveFocus);
+        byId('btnPacket') && (byId('btnPacket').disabled = !batchItems.length || packetBusy);
       }
 
       // =================================================================
@@ -481,6 +867,12 @@
         makeDockDraggable(dock, dock.querySelector('#snapDockHead')); restoreDockPos(dock);
 
         el.saveBtn.addEventListener('click', onSaveClick);
+        el.targets.addEventListener('click', async (e) => {
+          const id = e.target.getAttribute?.('data-pickfolder');
+          if (!id) return;
+          try { await chooseStorageFolder(id); }
+          catch (err) { if (err?.name !== 'AbortError') el.note.textContent = `Folder not set — ${String(err?.message || err)}`; }
+        });
         el.dlBtn.addEventListener('click', onDownloadClick);
         const closeDock = ()=>{ dock.style.display='none'; lastPngDataUrl=null; lastSuggestedName=null; el.note.textContent=''; el.link.textContent=''; saveDockPos(dock); };
         el.exitBtn.addEventListener('click', closeDock);
@@ -489,26 +881,37 @@
         dockEls = el;
       }
 
-      function showDock(pngDataUrl, suggestedName){
+      // opts: { mime, title, previewUrl, ctx } — defaults describe a PNG snapshot of the focused route;
+      // any image/* data URL is its own preview
+      function showDock(dataUrl, suggestedName, opts = {}){
         ensureDockUi();
         const { dock, img, name, title, note, link, targets } = dockEls;
-        title.textContent = 'Snapshot'; note.textContent = ''; link.textContent='';
-        img.src = pngDataUrl || '';
-        name.value = suggestedName || 'snapshot.png';
+        lastDocMime = opts.mime || 'image/png';
+        lastDocCtx = opts.ctx || null;
+        if (!dataUrl) lastPngDataUrl = null;
+        dockJobId = null;
+        title.textContent = opts.title || 'Snapshot'; note.textContent = ''; link.textContent='';
+        img.src = opts.previewUrl || (/^image\//.test(lastDocMime) ? dataUrl : '') || '';
+        name.value = suggestedName || ensureDocExt('snapshot');
         dock.style.display = 'block';
         targets.innerHTML = storageSummaryHtml();
         saveDockPos(dock);
       }
 
-      function storageSummaryHtml(){
-        const parts = [];
-        parts.push(`<div><strong>Webhook:</strong> ${cbUrl ? escapeHtml(new URL(cbUrl, location.href).origin) : '—'}</div>`);
-        parts.push(`<div><strong>Drive Direct:</strong> ${driveDirect && gClientId ? 'ready' : '—'}</div>`);
-        if (driveDirect && gClientId) {
-          parts.push(`<div><strong>Folder:</strong> ${driveFolderIdCandidate ? 'id:' + escapeHtml(driveFolderIdCandidate) : escapeHtml(DRIVE_FOLDER_DEFAULT_NAME)}</div>`);
-        }
+      // One line per storage target; with a job, each line also carries that target's result for it
+      function storageSummaryHtml(job){
+        const { mode, targets } = job ? { mode: job.mode, targets: job.targets } : storageConfig();
+        if (!targets.length) return '<div><strong>Targets:</strong> — (Download only)</div>';
+        const parts = targets.map(t => {
+          const res = targetResultHtml(job, t);
+          return `<div class="target"><strong>${escapeHtml(targetLabel(t))}:</strong> ${targetDetailHtml(t)}${res ? ` — ${res}` : ''}</div>`;
+        });
+        if (targets.length > 1) parts.push(`<div>${mode === 'parallel' ? 'Saving to all targets in parallel.' : 'First target that accepts the file wins.'}</div>`);
         return parts.join('');
       }
+      function refreshDockTargets(){
+        if (dockEls && dockEls.dock.style.display !== 'none') dockEls.targets.innerHTML = storageSummaryHtml(dockJobId ? uploads.items.get(dockJobId) : null);
+      }
 
       function buildSendOff(it){
         const days = (cfgFocusDays && cfgFocusDays.length) ? cfgFocusDays.map(d=>d[0].toUpperCase()+d.slice(1)).join(',') : (it?.day || '');
@@ -544,17 +947,18 @@
 
             // Composite capture (prevents blank maps)
             const canvas = await captureCanvas(r);
-            drawBannerOntoCanvas(canvas, it, r);
+            await renderSnapshotTemplate(canvas, it, r);
             flashCropped(r);
 
-            const dataUrl = canvas.toDataURL('image/png');
+            const { dataUrl, mime, ext } = encodeCanvas(canvas);
             if (dataUrl.length < 256) throw new Error('Empty image produced. Check CORS or waitForTilesReady.');
             lastPngDataUrl = dataUrl;
 
-            const rawName = it.outName || `${safeName(it.driver)}_${safeName(it.day)}.png`;
-            lastSuggestedName = ensurePngExt(rawName);
-            showDock(lastPngDataUrl, lastSuggestedName);
+            const rawName = it.outName || `${safeName(it.driver)}_${safeName(it.day)}.${ext}`;
+            lastSuggestedName = ensureExt(rawName, ext);
+            showDock(lastPngDataUrl, lastSuggestedName, { mime });
             saveFrameRect();
+            emitViewerEvent('snapshot', { name: lastSuggestedName, mimeType: mime, dataUrl, index: currentIndex, route: routePayload(currentIndex) });
           } catch (e) {
             showDock(null, null);
             if (dockEls?.note) dockEls.note.textContent = `Capture failed — ${String(e?.message || e)}`;
@@ -567,68 +971,23 @@
       async function onSaveClick(){
         const { title, note, link, saveBtn, name } = dockEls;
         if (!lastPngDataUrl) { note.textContent = 'No snapshot to save.'; return; }
-        const ctx = currentIndex>=0 ? batchItems[currentIndex] : {};
-        const outName = ensurePngExt((name.value || lastSuggestedName || 'snapshot.png').replace(/[^\w.-]+/g,'_'));
+        const ctx = lastDocCtx || (currentIndex>=0 ? batchItems[currentIndex] : {});
+        const outName = ensureDocExt((name.value || lastSuggestedName || 'snapshot').replace(/[^\w.-]+/g,'_'));
 
         link.innerHTML = ''; title.textContent = 'Saving…'; note.textContent = '';
+        if (!hasUploadTarget()) {
+          title.textContent = 'Not saved';
+          note.innerHTML = 'No upload target configured. Use Download, provide ?cb=… (webhook) or ?driveDirect=1&gClientId=…, or add cfg.storage.targets / ?storage=…';
+          return;
+        }
         saveBtn.disabled = true;
 
         try {
-          let success = false, reply = null;
-
-          // 1) Drive Direct (if enabled)
-          if (driveDirect && gClientId) {
-            try {
-              reply = await uploadToDriveDirect({
-                dataUrl: lastPngDataUrl,
-                name: outName,
-                folderId: driveFolderIdCandidate || '',
-                folderName: DRIVE_FOLDER_DEFAULT_NAME,
-                clientId: gClientId
-              });
-              if (reply && reply.id) {
-                success = true;
-                const href = toDriveViewLink(reply);
-                title.textContent = 'Saved ✓';
-                link.innerHTML = href ? `<a href="${href}" target="_blank" rel="noopener">Open in Drive</a>` : '';
-                note.innerHTML = `Saved to <b>${escapeHtml(DRIVE_FOLDER_DEFAULT_NAME)}</b> as <b>${escapeHtml(outName)}</b>.`;
-              }
-            } catch (e) {
-              console.warn('Direct Drive upload failed; trying webhook next:', e);
-            }
-          }
-
-          // 2) Webhook fallback (Apps Script doPost)
-          if (!success && cbUrl) {
-            const payload = {
-              name: outName,
-              day: ctx.day, driver: ctx.driver, routeName: ctx.name,
-              pngBase64: lastPngDataUrl,
-              folderId: driveFolderIdCandidate || '',
-              folderName: DRIVE_FOLDER_DEFAULT_NAME,
-              // NEW: send-off summary
-              sendOff: buildSendOff(ctx),
-              subsetOK: (cfgSubsetOK || subsetOK) ? 1 : 0,
-              days: (cfgFocusDays && cfgFocusDays.length) ? cfgFocusDays : focusDays
-            };
-            reply = await saveViaWebhook(cbUrl, payload);
-            if (reply && (reply.ok || reply.success)) {
-              success = true;
-              const href = toDriveViewLink(reply);
-              title.textContent = 'Saved ✓';
-              link.innerHTML = href ? `<a href="${href}" target="_blank" rel="noopener">Open in Drive</a>` : '';
-              const folderPretty = reply.folder || DRIVE_FOLDER_DEFAULT_NAME;
-              note.innerHTML = `Saved to <b>${escapeHtml(folderPretty)}</b> as <b>${escapeHtml(outName)}</b>.`;
-            }
-          }
-
-          // 3) No target configured / unconfirmed
-          if (!success) {
-            title.textContent = 'Saved (unconfirmed)';
-            note.innerHTML = cbUrl
-              ? 'Upload returned no readable ACK. Ensure your webhook returns JSON (or JSON text).'
-              : 'No upload target configured. Use Download or provide ?cb=… (webhook) or ?driveDirect=1&gClientId=…';
-          }
+          // Drive Direct before the webhook (Apps Script doPost) in fallback mode; failures stay queued and retry
+          const job = await enqueueUpload({ dataUrl: lastPngDataUrl, name: outName, mime: lastDocMime, order: ['drive', 'webhook'], fields: webhookFields(ctx), putUrl: ctx.putUrl });
+          dockJobId = job.id;
+          await pumpUploads();
+          showDockUploadOutcome(job);
         } catch (err) {
           title.textContent = 'Save failed';
           note.textContent = `Upload failed — you can still Download. (${String(err && err.message || err)})`;
@@ -637,10 +996,43 @@
         }
       }
 
+      function showDockUploadOutcome(job){
+        const { title, note, link } = dockEls;
+        const href = job.link;
+        link.innerHTML = href ? `<a href="${escapeHtml(href)}" target="_blank" rel="noopener">${job.via.split(',')[0] === 'drive' ? 'Open in Drive' : 'Open'}</a>` : '';
+        refreshDockTargets();
+        if (job.status === 'sent' && job.unconfirmed) {
+          title.textContent = 'Saved (unconfirmed)';
+          note.innerHTML = 'Upload returned no readable ACK. Ensure your webhook returns JSON (or JSON text).';
+        } else if (job.status === 'sent') {
+          title.textContent = 'Saved ✓';
+          note.innerHTML = job.folder
+            ? `Saved to <b>${escapeHtml(job.folder)}</b> as <b>${escapeHtml(job.name)}</b>.`
+            : `Saved as <b>${escapeHtml(job.name)}</b>.`;
+        } else {
+          title.textContent = job.status === 'failed' ? 'Save failed' : 'Queued';
+          note.innerHTML = `${escapeHtml(job.lastError || 'Upload failed')} — ${job.status === 'failed' ? 'kept in' : `retrying ${escapeHtml(fmtRetryAt(job.nextAt))} from`} the <a href="#" data-act="uploads">upload queue</a> (survives a reload). You can still Download.`;
+          note.querySelector('[data-act="uploads"]')?.addEventListener('click', (e) => { e.preventDefault(); setUploadsPanelOpen(true); });
+        }
+      }
+
+      // Webhook fields besides the file itself (name / base64 / mimeType / idempotencyKey are added per attempt)
+      function webhookFields(ctx){
+        return {
+          day: ctx.day, driver: ctx.driver, routeName: ctx.name,
+          folderId: driveFolderIdCandidate || '',
+          folderName: DRIVE_FOLDER_DEFAULT_NAME,
+          // NEW: send-off summary
+          sendOff: buildSendOff(ctx),
+          subsetOK: (cfgSubsetOK || subsetOK) ? 1 : 0,
+          days: (cfgFocusDays && cfgFocusDays.length) ? cfgFocusDays : focusDays
+        };
+      }
+
       function onDownloadClick(){
         const { note, name, title } = dockEls;
         if (!lastPngDataUrl) { note.textContent = 'No snapshot to download.'; return; }
-        const nm = ensurePngExt((name.value || lastSuggestedName || 'snapshot.png').replace(/[^\w.-]+/g,'_'));
+        const nm = ensureDocExt((name.value || lastSuggestedName || 'snapshot').replace(/[^\w.-]+/g,'_'));
         downloadFallback(lastPngDataUrl, nm);
         title.textContent = 'Downloaded ✓';
         note.textContent = `Downloaded as ${nm}.`;
@@ -708,6 +1100,75 @@
         frameEl.querySelectorAll('.handle').forEach(h => h.addEventListener('pointerdown', (e)=> onDown(e, h.getAttribute('data-dir'))));
       }
 
+      // ---------- basemaps (cfg.basemaps) ----------
+      // Each entry: { id, name, url, attribution, maxZoom, minZoom, maxNativeZoom, subdomains, crossOrigin, tms, default }.
+      // url may be any XYZ template: a CDN, a local tile server, or a relative folder such as ./tiles/{z}/{x}/{y}.png.
+      // MBTiles go through a local tile server (mbtileserver, tileserver-gl…); tms:true for raw TMS-ordered exports.
+      function basemapSources(cfg){
+        const list = (Array.isArray(cfg.basemaps) ? cfg.basemaps : []).filter(b => b && b.url)
+          .map((b, i) => ({ ...b, id: String(b.id || `basemap${i + 1}`), name: String(b.name || b.id || `Basemap ${i + 1}`) }));
+        return list.length ? list : [{ id: 'osm', name: 'OpenStreetMap', url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', attribution: '&copy; OpenStreetMap contributors', maxZoom: 19 }];
+      }
+      // ?basemap= → shared ?view= → last choice in this browser → cfg default → first
+      function initialBasemapId(){
+        const has = (id) => id && basemaps.some(b => b.id === id);
+        let stored = null;
+        try { stored = localStorage.getItem(LS_KEYS.basemap); } catch {}
+        return [qs.get('basemap'), viewParam.b, stored, basemaps.find(b => b.default)?.id].find(has) || basemaps[0].id;
+      }
+      function currentBasemap(){ return basemaps.find(b => b.id === basemapId) || basemaps[0]; }
+      function basemapTileOptions(src){
+        const o = {
+          attribution: src.attribution || '',
+          maxZoom: src.maxZoom ?? 19,
+          crossOrigin: src.crossOrigin ?? 'anonymous' // untainted canvases for leaflet-image / html2canvas
+        };
+        if (src.minZoom != null) o.minZoom = src.minZoom;
+        if (src.maxNativeZoom != null) o.maxNativeZoom = src.maxNativeZoom;
+        if (src.subdomains) o.subdomains = src.subdomains;
+        if (src.tms) o.tms = true;
+        return o;
+      }
+
+      function applyBasemap(id, initial = false){
+        const src = basemaps.find(b => b.id === id) || basemaps[0];
+        if (base) map.removeLayer(base);
+        base = L.tileLayer(src.url, basemapTileOptions(src)).addTo(map);
+        basemapId = src.id;
+        if (initial) return; // boot builds the mask once layers exist
+        try { localStorage.setItem(LS_KEYS.basemap, basemapId); } catch {}
+        rebuildBoundaryMask();
+        offline.tilesKey = '';
+        queueOfflineTiles();
+      }
+
+      function rebuildBoundaryMask(){
+        if (maskTiles) { map.removeLayer(maskTiles); maskTiles = null; }
+        try {
+          const maskFeatures = (cfg.behavior?.maskBoundary === 'union' && unionBoundaryFeatures.length) ? unionBoundaryFeatures : boundaryFeatures;
+          if (L.TileLayer?.boundaryCanvas && maskFeatures.length) {
+            const src = currentBasemap();
+            const boundaryFC = { type:'FeatureCollection', features: maskFeatures };
+            maskTiles = L.TileLayer.boundaryCanvas(src.url, { ...basemapTileOptions(src), boundary: boundaryFC, attribution: '' });
+            maskTiles.addTo(map).setZIndex(2); base.setZIndex(1);
+          }
+        } catch {}
+      }
+
+      function addBasemapControl(){
+        if (basemaps.length < 2) return;
+        const ctl = L.control({ position: 'bottomright' });
+        ctl.onAdd = () => {
+          const div = L.DomUtil.create('div', 'leaflet-bar basemap-switch');
+          div.innerHTML = `<select aria-label="Basemap">${basemaps.map(b =>
+            `<option value="${escapeHtml(b.id)}"${b.id === basemapId ? ' selected' : ''}>${escapeHtml(b.name)}</option>`).join('')}</select>`;
+          L.DomEvent.disableClickPropagation(div);
+          div.querySelector('select').addEventListener('change', (e) => applyBasemap(e.target.value));
+          return div;
+        };
+        ctl.addTo(map);
+      }
+
       // ---------- capture helpers ----------
       async function waitForTilesReady(map, timeoutMs=10000){
         const tileLayers = [];
@@ -726,6 +1187,130 @@
         });
       }
 
+      // Map-only capture (leaflet-image) once tiles settle; snapshotOutput().scale > 1 re-renders it larger
+      async function captureMapCanvas(){
+        await ensureLibs(); await waitForTilesReady(map, 12000);
+        const { scale } = snapshotOutput();
+        const canvas = await renderMapImage(scale);
+        drawSequenceOntoCanvas(canvas, 0, 0, scale);
+        drawClustersOntoCanvas(canvas, 0, 0, scale);
+        return canvas;
+      }
+      // frame rect (CSS px) matching a captureMapCanvas() canvas, whatever its scale
+      function mapFrameRect(){
+        const size = map.getSize();
+        return { left: 0, top: 0, width: size.x, height: size.y };
+      }
+
+      // cfg.snapshot.output = { scale: 1–3, format: png|jpeg|webp, quality: 0–1 }; ?scale= ?format= ?quality= win
+      function snapshotOutput(){
+        const o = cfg.snapshot?.output || {};
+        const scale = Math.min(3, Math.max(1, Number(qs.get('scale') || o.scale) || 1));
+        const f = String(qs.get('format') || o.format || 'png').toLowerCase().replace(/^jpg$/, 'jpeg');
+        const q = Number(qs.get('quality') ?? o.quality);
+        return { scale, format: ['png', 'jpeg', 'webp'].includes(f) ? f : 'png', quality: (q > 0 && q <= 1) ? q : 0.92 };
+      }
+
+      // → { dataUrl, mime, ext } in the configured format. JPEG has no alpha, so it is flattened onto white;
+      // browsers without a WebP encoder hand back PNG, and the MIME type follows what was actually produced.
+      function encodeCanvas(canvas){
+        const { format, quality } = snapshotOutput();
+        let src = canvas;
+        if (format === 'jpeg') {
+          src = document.createElement('canvas');
+          src.width = canvas.width; src.height = canvas.height;
+          const ctx = src.getContext('2d');
+          ctx.fillStyle = '#ffffff'; ctx.fillRect(0, 0, src.width, src.height);
+          ctx.drawImage(canvas, 0, 0);
+        }
+        const dataUrl = src.toDataURL(`image/${format}`, quality);
+        const mime = /^data:([^;,]+)/.exec(dataUrl)?.[1] || 'image/png';
+        return { dataUrl, mime, ext: mimeExt(mime) };
+      }
+
+      // leaflet-image never calls back when one of its layer handlers throws, so a capture that stalls is abandoned
+      function leafletImageOf(m, timeoutMs = 30000){
+        return new Promise((resolve, reject) => {
+          const t = setTimeout(() => reject(new Error(`Map render timed out after ${timeoutMs / 1000} s`)), timeoutMs);
+          const done = (err, c) => { clearTimeout(t); err ? reject(err) : resolve(c); };
+          try { leafletImage(m, done); } catch (e) { done(e); }
+        });
+      }
+
+      // leaflet-image draws every L.Marker as an image icon and reads marker._icon.src — a divIcon has none and the
+      // whole render dies. Badge markers sit out the capture and are stamped onto the canvas afterwards instead.
+      async function withoutDivIconMarkers(fn){
+        const parked = [];
+        [clusterLayer, sequenceLayer].forEach(g => g.eachLayer(l => {
+          if (l instanceof L.Marker && l.options.icon instanceof L.DivIcon && map.hasLayer(l)) { map.removeLayer(l); parked.push([g, l]); }
+        }));
+        try { return await fn(); }
+        finally { parked.forEach(([g, l]) => { if (g.hasLayer(l) && map.hasLayer(g)) map.addLayer(l); }); }
+      }
+
+      // scale 1 → the live map as is. Otherwise a hidden map 2^n× the size at zoom + n (n = ⌈log2 scale⌉, capped by
+      // the basemap's maxZoom) gets the basemap and copies of the visible paths with weights / radii / dashes scaled,
+      // and the result is resampled to exactly scale×. leaflet-image only reads the first overlay canvas, so the
+      // copies share one renderer, added in their panes' z-order. Single customers are circle markers and come along;
+      // cluster / stop badges are stamped by the callers and the heatmap is laid over here, at either scale.
+      async function renderMapImage(scale){
+        if (!(scale > 1)) return drawHeatOntoCanvas(await withoutDivIconMarkers(() => leafletImageOf(map)), 1);
+        const size = map.getSize(), z = map.getZoom(), src = currentBasemap();
+        let n = Math.max(0, Math.min(Math.ceil(Math.log2(scale)), (src.maxZoom ?? 19) - z));
+        while (n > 0 && size.x * size.y * 4 ** n > 50e6) n--; // stay under browser canvas limits
+        const f = 2 ** n;
+        const host = document.createElement('div');
+        host.style.cssText = `position:absolute;left:-100000px;top:0;width:${size.x * f}px;height:${size.y * f}px;`;
+        document.body.appendChild(host);
+        const clone = L.map(host, { preferCanvas: true, zoomControl: false, attributionControl: false, fadeAnimation: false, zoomAnimation: false });
+        try {
+          clone.setView(map.getCenter(), z + n, { animate: false });
+          L.tileLayer(src.url, basemapTileOptions(src)).addTo(clone);
+          scaledPathCopies(f).forEach(l => l.addTo(clone));
+          await waitForTilesReady(clone, 15000);
+          await new Promise(r => requestAnimationFrame(() => r())); // canvas renderer redraws on the next frame
+          const big = await leafletImageOf(clone);
+          if (big.width === Math.round(size.x * scale)) return drawHeatOntoCanvas(big, scale);
+          const out = document.createElement('canvas');
+          out.width = Math.round(size.x * scale); out.height = Math.round(size.y * scale);
+          const ctx = out.getContext('2d');
+          ctx.imageSmoothingQuality = 'high';
+          ctx.drawImage(big, 0, 0, out.width, out.height);
+          return drawHeatOntoCanvas(out, scale);
+        } finally {
+          clone.remove(); host.remove();
+        }
+      }
+
+      // the heat layer is its own canvas in overlayPane, which leaflet-image never picks (it reads the first one);
+      // it is a blur anyway, so its live pixels are simply stretched to k×
+      function drawHeatOntoCanvas(canvas, k){
+        const heat = heatLayer && map.hasLayer(heatLayer) ? heatLayer._canvas : null;
+        if (!heat?.width) return canvas;
+        const ctx = canvas.getContext('2d');
+        ctx.save();
+        ctx.globalAlpha = Number(heat.style.opacity) || 1;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(heat, 0, 0, heat.width * k, heat.height * k);
+        ctx.restore();
+        return canvas;
+      }
+
+      function scaledPathCopies(f){
+        const paneZ = (l) => Number(map.getPane(l.options.pane || 'overlayPane')?.style.zIndex) || 400;
+        const paths = [];
+        map.eachLayer(l => { if (l instanceof L.Path && !l._empty?.()) paths.push(l); });
+        return paths.sort((a, b) => paneZ(a) - paneZ(b)).map(l => {
+          const o = { ...l.options, pane: 'overlayPane', interactive: false, weight: (l.options.weight ?? 3) * f };
+          delete o.renderer;
+          if (o.dashArray) o.dashArray = String(o.dashArray).split(/[\s,]+/).filter(Boolean).map(v => Number(v) * f).join(' ');
+          if (l instanceof L.Circle) return L.circle(l.getLatLng(), o); // radius in metres
+          if (l instanceof L.CircleMarker) return L.circleMarker(l.getLatLng(), { ...o, radius: l.getRadius() * f });
+          if (l instanceof L.Polygon) return L.polygon(l.getLatLngs(), o);
+          return L.polyline(l.getLatLngs(), o);
+        });
+      }
+
       // Composite capture that avoids blank maps
       async function captureCanvas(r){
         await ensureLibs();
@@ -738,24 +1323,28 @@
         const frameArea = Math.max(1, r.width * r.height);
         const mapShare = ix ? (ix.width * ix.height) / frameArea : 0;
 
+        const { scale } = snapshotOutput();
+
         // If the frame overlaps the map even a bit, render the map via leaflet-image.
         if (ix && mapShare > 0.10) {
           if (!window.leafletImage) throw new Error('leaflet-image missing');
-          const baseCanvas = await new Promise((resolve, reject) => leafletImage(map, (err, c) => err ? reject(err) : resolve(c)));
+          const baseCanvas = await renderMapImage(scale);
 
           const out = document.createElement('canvas');
-          out.width = r.width; out.height = r.height;
+          out.width = Math.round(r.width * scale); out.height = Math.round(r.height * scale);
           const ctx = out.getContext('2d');
 
-          const sx = Math.max(0, Math.round(ix.left - mapRect.left));
-          const sy = Math.max(0, Math.round(ix.top  - mapRect.top));
-          const sw = Math.round(ix.width);
-          const sh = Math.round(ix.height);
-          const dx = Math.round(ix.left - r.left);
-          const dy = Math.round(ix.top  - r.top);
+          const sx = Math.max(0, Math.round((ix.left - mapRect.left) * scale));
+          const sy = Math.max(0, Math.round((ix.top  - mapRect.top) * scale));
+          const sw = Math.round(ix.width * scale);
+          const sh = Math.round(ix.height * scale);
+          const dx = Math.round((ix.left - r.left) * scale);
+          const dy = Math.round((ix.top  - r.top) * scale);
 
           ctx.clearRect(0, 0, out.width, out.height);
           ctx.drawImage(baseCanvas, sx, sy, sw, sh, dx, dy, sw, sh);
+          drawSequenceOntoCanvas(out, mapRect.left - r.left, mapRect.top - r.top, scale);
+          drawClustersOntoCanvas(out, mapRect.left - r.left, mapRect.top - r.top, scale);
 
           return out; // banner drawn later
         }
@@ -766,6 +1355,7 @@
           useCORS: true,
           allowTaint: false,
           backgroundColor: null,
+          scale,
           x: r.left, y: r.top, width: r.width, height: r.height,
           windowWidth: document.documentElement.clientWidth,
           windowHeight: document.documentElement.clientHeight,
@@ -807,38 +1397,1508 @@
       async function runAutoExport(items){
         ['legend','drivers','status','error'].forEach(id=>{ const n=document.getElementById(id); if(n) n.style.display='none'; });
 
+        const { scale, format } = snapshotOutput();
+        const manifest = {
+          type: 'dispatchviewer.runManifest', version: 1, runId: newUploadId(),
+          startedAt: new Date().toISOString(), finishedAt: null, cfg: cfgUrl,
+          output: { scale, format },
+          target: storageTargets().map(t => t.id).join(',') || 'download', storageMode: storageConfig().mode,
+          totals: null, items: []
+        };
+        const jobs = new Map(); // manifest item → upload job (filled in once the queue settles)
+
         for (let i=0;i<items.length;i++){
           const it = items[i];
+          const rec = {
+            index: i, route: it.name || '', driver: it.driver || '', day: it.day || '', keys: (it.keys || []).map(normalizeKey),
+            matchedPolygons: 0, customers: 0, customersOutside: 0,
+            file: '', mimeType: '', target: '', status: 'error', link: '', error: ''
+          };
+          manifest.items.push(rec);
+          renderExportProgress(manifest, items.length, it);
+          emitViewerEvent('exportprogress', { index: i, total: items.length, route: routePayload(i) });
           try{
             manualSelectedKeys = (it.keys||[]).map(normalizeKey);
             runtimeCustEnabled = true;
             await applySelection();
             await loadCustomersIfAny();
             if (selectionBounds) fitWithHints(selectionBounds, it?.view || null);
-            await ensureLibs(); await waitForTilesReady(map, 12000);
+            Object.assign(rec, { matchedPolygons: coveragePolysSelected.length, customers: custWithinSel, customersOutside: custOutsideSel });
 
             // Map-only snapshot for auto-export (banner drawn onto it)
-            const canvas = await new Promise((resolve, reject) => leafletImage(map, (err, c) => (err ? reject(err) : resolve(c))));
-            drawBannerOntoCanvas(canvas, it, {left:0,top:0,width:canvas.width,height:canvas.height});
-            const png = canvas.toDataURL('image/png');
-            const name = ensurePngExt(it.outName || `${safeName(it.driver)}_${safeName(it.day)}.png`);
-
-            let reply = null;
-            if (cbUrl) {
-              reply = await saveViaWebhook(cbUrl, {
-                name,
-                day: it.day, driver: it.driver, routeName: it.name,
-                pngBase64: png, folderId: driveFolderIdCandidate, folderName: DRIVE_FOLDER_DEFAULT_NAME,
-                sendOff: buildSendOff(it), subsetOK: (cfgSubsetOK || subsetOK) ? 1 : 0, days: (cfgFocusDays && cfgFocusDays.length) ? cfgFocusDays : focusDays
-              });
-            } else if (driveDirect && gClientId) {
-              reply = await uploadToDriveDirect({ dataUrl: png, name, folderId: driveFolderIdCandidate, folderName: DRIVE_FOLDER_DEFAULT_NAME, clientId: gClientId });
+            const canvas = await captureMapCanvas();
+            await renderSnapshotTemplate(canvas, it, mapFrameRect());
+            const { dataUrl: img, mime, ext } = encodeCanvas(canvas);
+            const name = ensureExt(it.outName || `${safeName(it.driver)}_${safeName(it.day)}.${ext}`, ext);
+            Object.assign(rec, { file: name, mimeType: mime });
+            emitViewerEvent('snapshot', { name, mimeType: mime, dataUrl: img, index: i, route: routePayload(i) });
+
+            if (hasUploadTarget()) {
+              // webhook first here; a failed attempt stays queued (IndexedDB) and retries with backoff
+              const job = await enqueueUpload({ dataUrl: img, name, mime, order: ['webhook', 'drive'], fields: webhookFields(it), putUrl: it.putUrl });
+              jobs.set(rec, job);
+              await pumpUploads();
             } else {
-              downloadFallback(png, name);
+              downloadFallback(img, name);
+              Object.assign(rec, { target: 'download', status: 'downloaded' });
+            }
+          }catch(e){
+            console.error('auto export item failed', e);
+            rec.error = String(e?.message || e);
+          }
+        }
+
+        renderExportProgress(manifest, items.length, null);
+        const tick = setInterval(() => renderExportProgress(manifest, items.length, null), 1000);
+        await uploadsSettled();
+        clearInterval(tick);
+        jobs.forEach((job, rec) => Object.assign(rec, {
+          target: job.via || '',
+          status: job.status === 'sent' ? (job.unconfirmed ? 'unconfirmed' : 'sent') : 'failed',
+          link: job.link || '', error: job.status === 'sent' ? '' : job.lastError, uploadId: job.id,
+          targets: job.results // per storage target: status, link, error
+        }));
+        manifest.finishedAt = new Date().toISOString();
+        manifest.totals = manifest.items.reduce((t, r) => { t[r.status] = (t[r.status] || 0) + 1; return t; }, { items: manifest.items.length });
+
+        renderRunManifest(manifest);
+        emitViewerEvent('exportdone', manifest);
+        if (cbUrl) await postRunManifest(manifest);
+        return manifest;
+      }
+
+      // Final summary call to ?cb= — no file, so it doesn't ride the upload queue; runId doubles as idempotencyKey
+      async function postRunManifest(manifest){
+        const note = exportRunEl?.querySelector('[data-role="posted"]');
+        try {
+          const reply = await saveViaWebhook(cbUrl, {
+            type: 'runManifest', name: `run_manifest_${manifest.startedAt.replace(/[:.]/g, '-')}.json`,
+            idempotencyKey: manifest.runId, manifest,
+            subsetOK: (cfgSubsetOK || subsetOK) ? 1 : 0, days: (cfgFocusDays && cfgFocusDays.length) ? cfgFocusDays : focusDays
+          });
+          if (note) note.textContent = (reply && (reply.ok || reply.success)) ? 'Summary posted to the webhook ✓' : 'Summary posted (no readable ACK).';
+        } catch (e) {
+          console.error('run manifest post failed', e);
+          if (note) note.textContent = `Summary post failed — ${String(e?.message || e)}. Download the manifest instead.`;
+        }
+      }
+
+      // Progress + manifest panel. Plain DOM: leaflet-image captures only map layers, so it never shows up in a snapshot.
+      function ensureExportRunUi(){
+        if (exportRunEl) return;
+        exportRunEl = document.createElement('div');
+        exportRunEl.id = 'exportRun';
+        exportRunEl.className = 'panel';
+        exportRunEl.setAttribute('aria-live', 'polite');
+        document.body.appendChild(exportRunEl);
+        exportRunEl.addEventListener('click', (e) => {
+          const act = e.target.getAttribute?.('data-act');
+          const m = exportRunEl._manifest;
+          if (!m) return;
+          const stamp = m.startedAt.replace(/[:.]/g, '-');
+          if (act === 'json') downloadText(JSON.stringify(m, null, 2), `run_manifest_${stamp}.json`, 'application/json');
+          else if (act === 'csv') {
+            const cols = ['index', 'route', 'driver', 'day', 'keys', 'matchedPolygons', 'customers', 'customersOutside', 'file', 'mimeType', 'target', 'status', 'link', 'error'];
+            downloadText(toCsv([cols, ...m.items.map(r => cols.map(c => (c === 'keys' ? r.keys.join(' ') : r[c])))]), `run_manifest_${stamp}.csv`, 'text/csv;charset=utf-8');
+          }
+        });
+      }
+
+      // it = item being captured, null once every capture is done (waiting on the upload queue)
+      function renderExportProgress(manifest, total, it){
+        ensureExportRunUi();
+        const done = it ? manifest.items.length - 1 : total;
+        const c = uploadCounts(), waiting = c.pending + c.sending;
+        const line = it
+          ? `Exporting ${manifest.items.length} of ${total} — ${escapeHtml([it.driver, it.day, it.name].filter(Boolean).join(' • ') || 'route')}`
+          : (waiting ? `Captured ${total} of ${total} — waiting on ${waiting} upload(s)…` : `Captured ${total} of ${total}.`);
+        exportRunEl.innerHTML = `
+          <h4>Batch export</h4>
+          <div class="line">${line}</div>
+          <div class="bar"><span style="width:${Math.round(100 * done / Math.max(1, total))}%"></span></div>`;
+      }
+
+      function renderRunManifest(m){
+        ensureExportRunUi();
+        exportRunEl._manifest = m;
+        const t = m.totals, ok = (t.sent || 0) + (t.unconfirmed || 0) + (t.downloaded || 0);
+        const rows = m.items.map(r => `
+          <tr class="${r.status === 'sent' || r.status === 'downloaded' ? '' : 'bad'}">
+            <td>${r.index + 1}</td>
+            <td>${escapeHtml([r.driver, r.day].filter(Boolean).join(' • '))}<br><small>${escapeHtml(r.file || '—')}</small></td>
+            <td>${r.matchedPolygons} / ${r.customers}</td>
+            <td>${escapeHtml(r.target || '—')}</td>
+            <td>${r.link ? `<a href="${escapeHtml(r.link)}" target="_blank" rel="noopener">${escapeHtml(r.status)}</a>` : escapeHtml(r.status)}${r.error ? `<br><small>${escapeHtml(r.error)}</small>` : ''}</td>
+          </tr>`).join('');
+        exportRunEl.innerHTML = `
+          <h4>Batch export — ${ok} of ${t.items} OK</h4>
+          <div class="line">${escapeHtml(new Date(m.startedAt).toLocaleTimeString())} → ${escapeHtml(new Date(m.finishedAt).toLocaleTimeString())} • ${escapeHtml(m.target)} • ${escapeHtml(m.output.format)} @${m.output.scale}×</div>
+          <div class="scroll"><table>
+            <thead><tr><th>#</th><th>Route / file</th><th>Zones / cust.</th><th>Target</th><th>Result</th></tr></thead>
+            <tbody>${rows}</tbody>
+          </table></div>
+          <div class="row" style="display:flex;gap:6px;margin-top:6px;align-items:center">
+            <button type="button" data-act="json">Download manifest (JSON)</button>
+            <button type="button" data-act="csv">CSV</button>
+          </div>
+          <div class="note" data-role="posted">${cbUrl ? 'Posting summary to the webhook…' : ''}</div>`;
+      }
+
+      // =================================================================
+      // Route packet (PDF): overview cover + one page per batch item
+      // =================================================================
+      async function buildRoutePacket(onProgress){
+        await ensureLibs(); await ensurePdfLib();
+        const pdf = new window.jspdf.jsPDF({ orientation: 'portrait', unit: 'pt', format: 'letter' });
+        const W = pdf.internal.pageSize.getWidth(), H = pdf.internal.pageSize.getHeight(), M = 36;
+        const days = Array.from(new Set(batchItems.map(it => it.day).filter(Boolean)));
+        const prevIndex = currentIndex;
+        let coverPng = null;
+
+        packetBusy = true; updateButtons();
+        try {
+          // cover: the same day overview Prev/Next lands on
+          onProgress?.(0, batchItems.length);
+          await zoomToOverview();
+          const cover = await captureMapCanvas();
+          coverPng = cover.toDataURL('image/png');
+          let y = M;
+          pdf.setFont('helvetica', 'bold'); pdf.setFontSize(18);
+          pdf.text(`Route packet — ${days.join(', ') || 'all days'}`, M, y + 14); y += 26;
+          pdf.setFont('helvetica', 'normal'); pdf.setFontSize(10);
+          pdf.text(`${batchItems.length} route(s) • generated ${new Date().toLocaleString()}`, M, y + 8); y += 18;
+          y = addPacketImage(pdf, cover, M, y, W - 2*M, H * 0.5);
+          addPacketTable(pdf, y + 16, ['#', 'Day', 'Driver', 'Route', 'Deliveries', 'Base boxes'],
+            batchItems.map((it, i) => { const n = getStatsNumbers(it.stats || {}); return [i + 1, it.day || '', it.driver || '', it.name || '', n.deliveries, n.baseBoxes]; }),
+            [24, 80, 120, W - 2*M - 364, 70, 70]);
+
+          for (let i = 0; i < batchItems.length; i++) {
+            onProgress?.(i + 1, batchItems.length);
+            const it = batchItems[i];
+            await showRoute(i);
+            const canvas = await captureMapCanvas();
+
+            pdf.addPage();
+            y = M;
+            pdf.setFont('helvetica', 'bold'); pdf.setFontSize(13);
+            pdf.text(bannerMetaRow(it).replace(/ {2,}/g, ' '), M, y + 12); y += 22;
+            pdf.setFont('helvetica', 'normal'); pdf.setFontSize(9);
+            for (const row of buildStatsRows(getStatsNumbers(it.stats || {}))) {
+              const lines = pdf.splitTextToSize(row, W - 2*M);
+              pdf.text(lines, M, y + 8); y += lines.length * 11;
+            }
+            y = addPacketImage(pdf, canvas, M, y + 6, W - 2*M, H * 0.45) + 20;
+
+            pdf.setFont('helvetica', 'bold'); pdf.setFontSize(11); pdf.text('Municipalities', M, y); y += 12;
+            pdf.setFont('helvetica', 'normal'); pdf.setFontSize(9);
+            const munis = pdf.splitTextToSize(selectedMunicipalities.join(', ') || '—', W - 2*M);
+            pdf.text(munis, M, y); y += munis.length * 11 + 12;
+
+            const notes = customerMarkers.filter(r => r.selLyr)
+              .map(r => [r.selLyr._labelTxt || '', r.selLyr._routeKey || '', r.note || `${r.lat.toFixed(5)}, ${r.lng.toFixed(5)}`])
+              .sort((a, b) => a[0].toLowerCase().localeCompare(b[0].toLowerCase()) || a[1].localeCompare(b[1], undefined, { numeric: true }));
+            pdf.setFont('helvetica', 'bold'); pdf.setFontSize(11); pdf.text(`Customer notes (${notes.length})`, M, y); y += 6;
+            addPacketTable(pdf, y, ['#', 'Municipality', 'Zone', 'Note'], notes.map((r, j) => [j + 1, ...r]), [24, 110, 60, W - 2*M - 194]);
+          }
+        } finally {
+          packetBusy = false;
+          if (prevIndex >= 0) await showRoute(prevIndex); else await zoomToOverview();
+        }
+
+        const dataUrl = pdf.output('datauristring').replace(/^data:application\/pdf;[^,]*,/, 'data:application/pdf;base64,');
+        const name = `route_packet_${safeName(days.join('-') || 'all')}.pdf`;
+        return { dataUrl, name, coverPng, ctx: { day: days.join(','), driver: '', name: 'Route packet' } };
+      }
+
+      // Fits a canvas into maxW×maxH (JPEG keeps multi-page packets small); returns the y below it
+      function addPacketImage(pdf, canvas, x, y, maxW, maxH){
+        const k = Math.min(maxW / Math.max(1, canvas.width), maxH / Math.max(1, canvas.height));
+        const w = canvas.width * k, h = canvas.height * k, dx = x + (maxW - w) / 2;
+        pdf.addImage(canvas.toDataURL('image/jpeg', 0.85), 'JPEG', dx, y, w, h);
+        pdf.setDrawColor(200); pdf.rect(dx, y, w, h);
+        return y + h;
+      }
+
+      // Plain wrapped-text table; continues on new pages (header repeated). Returns the y below it.
+      function addPacketTable(pdf, y, head, rows, widths){
+        const H = pdf.internal.pageSize.getHeight(), M = 36, lineH = 11;
+        const drawRow = (cells, bold) => {
+          pdf.setFont('helvetica', bold ? 'bold' : 'normal'); pdf.setFontSize(9);
+          const wrapped = cells.map((c, i) => pdf.splitTextToSize(String(c ?? ''), widths[i] - 6));
+          const h = Math.max(...wrapped.map(w => w.length)) * lineH + 4;
+          if (y + h > H - M) { pdf.addPage(); y = M; if (!bold) drawRow(head, true); }
+          let x = M;
+          wrapped.forEach((lines, i) => { pdf.text(lines, x + 3, y + lineH); x += widths[i]; });
+          y += h;
+          pdf.setDrawColor(bold ? 120 : 225); pdf.line(M, y, x, y);
+        };
+        drawRow(head, true);
+        if (!rows.length) { pdf.setFont('helvetica', 'italic'); pdf.setFontSize(9); pdf.text('None.', M + 3, y + lineH); return y + lineH + 4; }
+        rows.forEach(r => drawRow(r, false));
+        return y;
+      }
+
+      async function onPacketClick(){
+        if (!batchItems.length || packetBusy) return;
+        const btn = document.getElementById('btnPacket');
+        const label = btn ? btn.textContent : '';
+        try {
+          const out = await buildRoutePacket((i, n) => {
+            if (btn) btn.textContent = `📄 ${i}/${n}`;
+            phase(i ? `Building packet — route ${i} of ${n}…` : 'Building packet — overview…');
+          });
+          lastPngDataUrl = out.dataUrl;
+          lastSuggestedName = out.name;
+          showDock(out.dataUrl, out.name, { mime: 'application/pdf', title: 'Route packet', previewUrl: out.coverPng, ctx: out.ctx });
+          dockEls.note.textContent = `${batchItems.length + 1} page(s) — cover shown.`;
+          info(`Route packet ready (${batchItems.length} route(s)).`);
+        } catch (e) {
+          warn(`Packet failed — ${String(e?.message || e)}`);
+        } finally {
+          if (btn) btn.textContent = label;
+          updateButtons();
+        }
+      }
+
+      // Headless: ?batch=…&packet=1 (no ?manual) → one PDF through the same save precedence as runAutoExport
+      async function runPacketExport(){
+        ['legend','drivers','status','error'].forEach(id=>{ const n=document.getElementById(id); if(n) n.style.display='none'; });
+        try {
+          const { dataUrl, name, ctx } = await buildRoutePacket();
+          if (hasUploadTarget()) {
+            const job = await enqueueUpload({ dataUrl, name, mime: 'application/pdf', order: ['webhook', 'drive'], fields: webhookFields(ctx) });
+            await pumpUploads();
+            await uploadsSettled();
+            console.log(job.status === 'sent' ? 'Saved:' : 'Packet upload failed:', job.link || job.lastError || job.name);
+          } else {
+            downloadFallback(dataUrl, name);
+          }
+        } catch (e) { console.error('packet export failed', e); }
+      }
+
+      // =================================================================
+      // Stop sequencing (focused route): nearest neighbour + 2-opt, no routing service
+      // =================================================================
+      function setSequenceMode(on){
+        if (on && pickMode.on) setPickMode(false);
+        sequence.on = !!on;
+        document.getElementById('btnOrder')?.classList.toggle('armed', sequence.on);
+        ensureSequencerUi();
+        updateSequence();
+      }
+
+      function routingDepot(it){
+        const raw = qs.get('depot') || it?.depot || cfg.routing?.depot || '';
+        return parseLatLng(Array.isArray(raw) ? raw.join(',') : raw);
+      }
+
+      // Rebuilt whenever customers are re-matched (route change, refresh, selection edits)
+      function updateSequence(){
+        sequenceLayer.clearLayers();
+        sequence.stops = []; sequence.km = 0;
+        const it = (currentIndex >= 0 && currentIndex < batchItems.length) ? batchItems[currentIndex] : null;
+        if (!sequence.on || !it) { renderSequencer(); if (it) renderDispatchBanner(it); return; }
+
+        const stops = customerMarkers.filter(r => r.selLyr && !r.filteredOut);
+        let depot = routingDepot(it);
+        sequence.depotGuessed = !depot;
+        if (!depot) { const c = (selectionBounds || map.getBounds()).getCenter(); depot = { lat: c.lat, lng: c.lng }; }
+        sequence.depot = depot;
+
+        if (stops.length) {
+          const roadFactor = Number(cfg.routing?.roadFactor ?? 1);
+          const closed = cfg.routing?.returnToDepot !== false;
+          const pts = [depot, ...stops];
+          const order = sequenceStops(pts, closed, (a, b) => haversineKm(pts[a], pts[b]) * (roadFactor > 0 ? roadFactor : 1));
+          let cum = 0;
+          sequence.stops = order.filter(i => i !== 0).map((i, n) => {
+            const prev = n === 0 ? 0 : order[n];
+            const legKm = haversineKm(pts[prev], pts[i]) * (roadFactor > 0 ? roadFactor : 1);
+            cum += legKm;
+            return { rec: pts[i], seq: n + 1, legKm, cumKm: cum };
+          });
+          const backKm = closed ? haversineKm(pts[order[order.length - 2]], depot) * (roadFactor > 0 ? roadFactor : 1) : 0;
+          sequence.km = cum + backKm;
+
+          const color = driverColor(it.driver) || '#111';
+          const path = order.map(i => [pts[i].lat, pts[i].lng]);
+          L.polyline(path, { color: '#ffffff', weight: 6, opacity: 0.9, interactive: false }).addTo(sequenceLayer);
+          L.polyline(path, { color, weight: 3, opacity: 1, interactive: false }).addTo(sequenceLayer);
+          sequence.stops.forEach(st => {
+            L.marker([st.rec.lat, st.rec.lng], { interactive: false, keyboard: false,
+              icon: L.divIcon({ className: 'seq-num', html: String(st.seq), iconSize: [20, 20] }) }).addTo(sequenceLayer);
+          });
+          L.marker([depot.lat, depot.lng], { interactive: false, keyboard: false,
+            icon: L.divIcon({ className: 'seq-num depot', html: 'D', iconSize: [20, 20] }) }).addTo(sequenceLayer);
+        }
+        renderSequencer();
+        renderDispatchBanner(it);
+      }
+
+      // pts[0] is the depot. Returns visiting order of indices starting at 0 (and ending at 0 when closed).
+      function sequenceStops(pts, closed, dist){
+        const n = pts.length;
+        const left = new Set(Array.from({ length: n - 1 }, (_, i) => i + 1));
+        const tour = [0];
+        while (left.size) {
+          const last = tour[tour.length - 1];
+          let best = -1, bestD = Infinity;
+          left.forEach(i => { const d = dist(last, i); if (d < bestD) { bestD = d; best = i; } });
+          tour.push(best); left.delete(best);
+        }
+        if (closed) tour.push(0);
+
+        // 2-opt: reverse tour[i..j] while it shortens the path; the depot ends stay fixed
+        const lastJ = closed ? tour.length - 2 : tour.length - 1;
+        let improved = true, passes = 0;
+        while (improved && passes++ < 50) {
+          improved = false;
+          for (let i = 1; i < lastJ; i++) for (let j = i + 1; j <= lastJ; j++) {
+            const a = tour[i - 1], b = tour[i], c = tour[j], d = tour[j + 1];
+            const tail = d === undefined ? 0 : dist(b, d) - dist(c, d);
+            if (dist(a, c) - dist(a, b) + tail < -1e-9) {
+              for (let x = i, y = j; x < y; x++, y--) { const t = tour[x]; tour[x] = tour[y]; tour[y] = t; }
+              improved = true;
+            }
+          }
+        }
+        return tour;
+      }
+
+      function haversineKm(a, b){
+        const R = 6371, rad = Math.PI / 180;
+        const dLat = (b.lat - a.lat) * rad, dLng = (b.lng - a.lng) * rad;
+        const h = Math.sin(dLat / 2) ** 2 + Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLng / 2) ** 2;
+        return 2 * R * Math.asin(Math.min(1, Math.sqrt(h)));
+      }
+
+      // captures leave the stop-number divIcons out (leaflet-image can't draw them, see withoutDivIconMarkers),
+      // so the badges are stamped here (offsets in CSS px; k = canvas pixels per CSS px)
+      function drawSequenceOntoCanvas(canvas, offsetX, offsetY, k = 1){
+        if (!sequence.on || !sequence.stops.length) return;
+        const ctx = canvas.getContext('2d');
+        const badge = (ll, text, fill) => {
+          const p = map.latLngToContainerPoint(ll);
+          const x = (p.x + offsetX) * k, y = (p.y + offsetY) * k;
+          if (x < -10 * k || y < -10 * k || x > canvas.width + 10 * k || y > canvas.height + 10 * k) return;
+          ctx.beginPath(); ctx.arc(x, y, 10 * k, 0, Math.PI * 2);
+          ctx.fillStyle = fill; ctx.fill(); ctx.lineWidth = 2 * k; ctx.strokeStyle = '#ffffff'; ctx.stroke();
+          ctx.fillStyle = '#ffffff'; ctx.font = `700 ${11 * k}px system-ui, sans-serif`; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+          ctx.fillText(text, x, y + 0.5 * k);
+        };
+        sequence.stops.forEach(st => badge([st.rec.lat, st.rec.lng], String(st.seq), '#111'));
+        if (sequence.depot) badge([sequence.depot.lat, sequence.depot.lng], 'D', '#c62828');
+      }
+
+      function ensureSequencerUi(){
+        if (sequencerEl) return;
+        sequencerEl = document.createElement('div');
+        sequencerEl.id = 'sequencer';
+        sequencerEl.className = 'panel';
+        sequencerEl.setAttribute('aria-live', 'polite');
+        document.body.appendChild(sequencerEl);
+        sequencerEl.addEventListener('click', (e) => {
+          const act = e.target.getAttribute?.('data-act');
+          if (act === 'close') setSequenceMode(false);
+          else if (act === 'csv' || act === 'geojson') exportSequence(act);
+        });
+      }
+
+      function renderSequencer(){
+        if (!sequencerEl) return;
+        sequencerEl.style.display = sequence.on ? 'block' : 'none';
+        if (!sequence.on) return;
+        const it = (currentIndex >= 0) ? batchItems[currentIndex] : null;
+        if (!it) { sequencerEl.innerHTML = `<h4>Stop order<button type="button" data-act="close" aria-label="Close">×</button></h4><div class="note">Focus a route (Next ▶) to sequence its customers.</div>`; return; }
+        const items = sequence.stops.map(st => `<li><span class="km">${st.cumKm.toFixed(1)} km</span>${escapeHtml((st.rec.note || `${st.rec.lat.toFixed(5)}, ${st.rec.lng.toFixed(5)}`).slice(0, 80))}</li>`).join('');
+        const depotTxt = sequence.depotGuessed ? 'no depot configured — starting at selection centre' : `depot ${sequence.depot.lat.toFixed(5)}, ${sequence.depot.lng.toFixed(5)}`;
+        sequencerEl.innerHTML = `
+          <h4>Stop order <span class="counts">${sequence.stops.length} stop(s) • ${sequence.km.toFixed(1)} km</span><button type="button" data-act="close" aria-label="Close">×</button></h4>
+          <div class="note">${escapeHtml(depotTxt)} • road factor ×${Number(cfg.routing?.roadFactor ?? 1)}${cfg.routing?.returnToDepot === false ? '' : ' • returns to depot'}</div>
+          <ol>${items || '<li style="list-style:none;opacity:.6">No customers inside this route.</li>'}</ol>
+          <div class="row">
+            <button type="button" data-act="csv">Export CSV</button>
+            <button type="button" data-act="geojson">GeoJSON</button>
+          </div>`;
+      }
+
+      function exportSequence(format){
+        const it = (currentIndex >= 0) ? batchItems[currentIndex] : null;
+        if (!it || !sequence.stops.length) { warn('No sequenced stops to export.'); return; }
+        const stem = `${safeName(it.driver)}_${safeName(it.day)}_stops`;
+        const rows = sequence.stops.map(st => ({
+          seq: st.seq, lat: st.rec.lat, lng: st.rec.lng, note: st.rec.note || '',
+          zoneKey: st.rec.selLyr?._routeKey || '', municipality: st.rec.selLyr?._labelTxt || '',
+          legKm: +st.legKm.toFixed(2), cumKm: +st.cumKm.toFixed(2)
+        }));
+        if (format === 'geojson') {
+          const d = sequence.depot;
+          const line = [[d.lng, d.lat], ...rows.map(r => [r.lng, r.lat])];
+          if (cfg.routing?.returnToDepot !== false) line.push([d.lng, d.lat]);
+          const fc = { type: 'FeatureCollection', features: [
+            { type: 'Feature', geometry: { type: 'LineString', coordinates: line }, properties: { driver: it.driver || '', day: it.day || '', totalKm: +sequence.km.toFixed(2) } },
+            { type: 'Feature', geometry: { type: 'Point', coordinates: [d.lng, d.lat] }, properties: { seq: 0, depot: true } },
+            ...rows.map(({ lat, lng, ...props }) => ({ type: 'Feature', geometry: { type: 'Point', coordinates: [lng, lat] }, properties: props }))
+          ] };
+          downloadText(JSON.stringify(fc, null, 2), `${stem}.geojson`, 'application/geo+json');
+        } else {
+          const cols = ['seq','lat','lng','note','zoneKey','municipality','legKm','cumKm'];
+          downloadText(toCsv([cols, ...rows.map(r => cols.map(c => r[c]))]), `${stem}.csv`, 'text/csv;charset=utf-8');
+        }
+        info(`Exported ${rows.length} stop(s) • ${sequence.km.toFixed(1)} km.`);
+      }
+
+      // =================================================================
+      // Zone picking (click polygons → manualSelectedKeys)
+      // =================================================================
+      async function setPickMode(on){
+        if (on && assignEdit.on) setAssignMode(false);
+        if (on && sequence.on) setSequenceMode(false);
+        pickMode.on = !!on;
+        if (pickMode.on) manualSelectedKeys = [...selectedOrderedKeys];
+        ensurePickerUi();
+        pickerEl.style.display = pickMode.on ? 'block' : 'none';
+        document.getElementById('map')?.classList.toggle('picking', pickMode.on);
+        clearFocus(false); map.closePopup();
+        await applySelection({ keepView: true });
+      }
+
+      async function togglePickedKey(key){
+        if (!key) return;
+        const keys = (manualSelectedKeys || []).map(normalizeKey);
+        const i = keys.indexOf(key);
+        if (i === -1) keys.push(key); else keys.splice(i, 1);
+        manualSelectedKeys = keys;
+        await applySelection({ keepView: true });
+      }
+
+      function ensurePickerUi(){
+        if (pickerEl) return;
+        pickerEl = document.createElement('div');
+        pickerEl.id = 'picker';
+        pickerEl.className = 'panel';
+        pickerEl.setAttribute('aria-live', 'polite');
+        document.body.appendChild(pickerEl);
+
+        pickerEl.addEventListener('click', async (e) => {
+          const un = e.target.closest?.('[data-unpick]');
+          if (un) { await togglePickedKey(un.getAttribute('data-unpick')); return; }
+          const act = e.target.getAttribute?.('data-act');
+          if (act === 'copyKeys') await copyPicked('keys');
+          else if (act === 'copyRow') await copyPicked('row');
+          else if (act === 'clear') { manualSelectedKeys = []; await applySelection({ keepView: true }); }
+          else if (act === 'done') await setPickMode(false);
+        });
+        pickerEl.addEventListener('change', async (e) => {
+          if (e.target.name !== 'pickTier') return;
+          pickMode.tier = e.target.value;
+          await applySelection({ keepView: true });
+        });
+      }
+
+      function renderPicker(){
+        if (!pickerEl) return;
+        const keys = (manualSelectedKeys || []).map(normalizeKey);
+        const known = knownZoneKeys();
+        const chips = keys.map(k => {
+          // precedence: a base/quad key is hidden once a finer key of the same zone is picked
+          const state = visibleSelectedKeysSet.has(k) ? '' : (known.has(k) ? 'shadowed' : 'unknown');
+          const title = state === 'shadowed' ? 'Hidden by a finer key of the same zone' : (state === 'unknown' ? 'No polygon has this key' : k);
+          return `<span class="chip ${state}" title="${escapeHtml(title)}">${escapeHtml(k)}<button type="button" data-unpick="${escapeHtml(k)}" aria-label="Remove ${escapeHtml(k)}">×</button></span>`;
+        }).join('');
+        const tiers = [['base','Base'], ['quadrant','Quadrant'], ['subquadrant','Subquadrant']].map(([v, lbl]) =>
+          `<label><input type="radio" name="pickTier" value="${v}" ${pickMode.tier === v ? 'checked' : ''}> ${lbl}</label>`).join('');
+        pickerEl.innerHTML = `
+          <h4>Pick zones <span class="counts">${keys.length} key(s)</span></h4>
+          <div class="row">${tiers}</div>
+          <div class="chips">${chips || '<span style="opacity:.6">Click polygons to add or remove keys…</span>'}</div>
+          <div class="row">
+            <button type="button" data-act="copyKeys">Copy keys</button>
+            <button type="button" data-act="copyRow">Copy CSV rows</button>
+            <button type="button" data-act="clear">Clear</button>
+            <button type="button" data-act="done" style="margin-left:auto">Done</button>
+          </div>
+          <div class="note" id="pickNote"></div>`;
+      }
+
+      async function copyPicked(kind){
+        const keys = (manualSelectedKeys || []).map(normalizeKey);
+        const keysTxt = keys.join(', ');
+        let text = keysTxt;
+        if (kind === 'row') {
+          // one "day, zone keys" row per day — same columns the selection CSV schema reads back (canonicalDay +
+          // splitKeys); keys with no known day share a row with an empty day cell
+          const byDay = new Map();
+          keys.forEach(k => { const d = dayForKey(k) || ''; if (!byDay.has(d)) byDay.set(d, []); byDay.get(d).push(k); });
+          text = toCsv([...byDay].map(([d, ks]) => [d, ks.join(', ')])).trim();
+        }
+        const ok = await copyText(text);
+        const note = pickerEl?.querySelector('#pickNote');
+        if (note) note.textContent = ok ? `Copied: ${text}` : 'Copy failed — select and copy manually.';
+      }
+
+      function tierLayers(tier){ return tier === 'subquadrant' ? subqDayLayers : (tier === 'quadrant' ? quadDayLayers : baseDayLayers); }
+      function knownZoneKeys(){
+        const out = new Set();
+        for (const arr of allDaySets) for (const entry of arr) for (const lyr of entry.features) if (lyr._routeKey) out.add(lyr._routeKey);
+        return out;
+      }
+      function dayForKey(k){
+        for (const arr of allDaySets) for (const entry of arr) for (const lyr of entry.features) if (lyr._routeKey === k) return lyr._day;
+        return prefixDay(k);
+      }
+
+      // =================================================================
+      // Driver assignment editor (activeAssignMap)
+      // =================================================================
+      function setAssignMode(on){
+        if (on && pickMode.on) setPickMode(false);
+        assignEdit.on = !!on;
+        if (assignEdit.on && !assignEdit.baseline) assignEdit.baseline = { ...activeAssignMap };
+        if (!assignEdit.on) assignEdit.driver = null;
+        // Shift+drag is our lasso while editing; give it back to boxZoom afterwards
+        if (assignEdit.on) map.boxZoom.disable(); else map.boxZoom.enable();
+        document.getElementById('map')?.classList.toggle('assigning', assignEdit.on);
+        renderDriversPanel(driverMeta, driverOverlays, true, driverSelectedCounts, custWithinSel);
+      }
+
+      async function assignKeysToDriver(keys, driver){
+        const clean = (keys || []).map(normalizeKey).filter(Boolean);
+        if (!clean.length || !driver) return;
+        clean.forEach(k => { activeAssignMap[k] = driver; });
+        driverMeta = ensureDriverMeta(driverMeta, [driver]);
+        driverSelectedCounts = computeDriverCounts();
+        await rebuildDriverOverlays();
+        info(`Assigned ${clean.join(', ')} → ${driver}`);
+      }
+
+      function changedAssignKeys(){
+        const base = assignEdit.baseline || {};
+        return Object.keys(activeAssignMap).filter(k => base[k] !== activeAssignMap[k]);
+      }
+
+      function exportAssignMap(format){
+        const keys = Object.keys(activeAssignMap).sort((a,b)=>a.localeCompare(b, undefined, { numeric:true }));
+        if (format === 'json') {
+          const out = {}; keys.forEach(k => { out[k] = activeAssignMap[k]; });
+          downloadText(JSON.stringify(out, null, 2), 'assignMap.json', 'application/json');
+          return;
+        }
+        const byDriver = new Map();
+        keys.forEach(k => { const d = activeAssignMap[k]; if (!byDriver.has(d)) byDriver.set(d, []); byDriver.get(d).push(k); });
+        const rows = [['driver', 'zone keys']];
+        Array.from(byDriver.keys()).sort((a,b)=>a.toLowerCase().localeCompare(b.toLowerCase()))
+          .forEach(d => rows.push([d, byDriver.get(d).join(', ')]));
+        downloadText(toCsv(rows), 'assignMap.csv', 'text/csv;charset=utf-8');
+      }
+
+      // Shift+drag on the map draws a freehand lasso; every selected zone whose anchor point falls inside is reassigned
+      function bindAssignLasso(){
+        const container = map.getContainer();
+        let pts = null, line = null;
+        const onMove = (e) => {
+          if (!pts) return;
+          pts.push(map.mouseEventToLatLng(e));
+          line.setLatLngs(pts);
+        };
+        const onUp = async () => {
+          window.removeEventListener('pointermove', onMove);
+          map.dragging.enable();
+          const ring = (pts || []).map(ll => [ll.lng, ll.lat]);
+          pts = null;
+          if (line) { map.removeLayer(line); line = null; }
+          if (ring.length < 3 || !window.turf) return;
+          ring.push(ring[0]);
+          const lasso = turf.polygon([ring]);
+          const hit = coveragePolysSelected
+            .map(rec => rec.layerRef)
+            .filter(lyr => lyr && lyr._routeKey && turf.booleanPointInPolygon(zoneAnchor(lyr), lasso))
+            .map(lyr => lyr._routeKey);
+          if (hit.length) await assignKeysToDriver(hit, assignEdit.driver);
+        };
+        container.addEventListener('pointerdown', (e) => {
+          if (!assignEdit.on || !assignEdit.driver || !e.shiftKey || e.button !== 0) return;
+          e.preventDefault(); e.stopPropagation();
+          map.dragging.disable();
+          pts = [map.mouseEventToLatLng(e)];
+          line = L.polyline(pts, { color: driverColor(assignEdit.driver), weight: 2, dashArray: '4 4', interactive: false }).addTo(map);
+          window.addEventListener('pointermove', onMove);
+          window.addEventListener('pointerup', onUp, { once: true });
+        }, true);
+      }
+
+      function zoneAnchor(lyr){
+        if (!lyr._anchorPt) { try { lyr._anchorPt = turf.pointOnFeature(lyr._turfFeat); } catch { const c = lyr.getBounds().getCenter(); lyr._anchorPt = turf.point([c.lng, c.lat]); } }
+        return lyr._anchorPt;
+      }
+      function driverColor(name){
+        const meta = driverMeta.find(d => (d.name || '').toLowerCase() === String(name || '').toLowerCase());
+        return (meta && meta.color) || colorFromName(name);
+      }
+
+      // =================================================================
+      // Permalink (?view=) — capture / restore runtime state
+      // =================================================================
+      function captureViewState(){
+        const st = {};
+        const c = map.getCenter();
+        st.c = [+c.lat.toFixed(5), +c.lng.toFixed(5)];
+        st.z = map.getZoom();
+        if (currentIndex >= 0) st.i = currentIndex;
+        if (currentFocus?._routeKey) st.f = currentFocus._routeKey;
+        // picked keys only when they aren't just the batch overview/route keys
+        if (currentIndex < 0 && Array.isArray(manualSelectedKeys)) {
+          const keys = manualSelectedKeys.map(normalizeKey);
+          const batchKeys = unionAllKeys(batchItems);
+          if (keys.length !== batchKeys.length || keys.some(k => !batchKeys.includes(k))) st.k = keys;
+        }
+        if (assignEdit.baseline) {
+          const changed = changedAssignKeys();
+          if (changed.length) { st.a = {}; changed.forEach(k => { st.a[k] = activeAssignMap[k]; }); }
+        }
+        if (driversToggledOff.size) st.off = Array.from(driversToggledOff);
+        if (selectionDayChoice) st.d = selectionDayChoice;
+        st.o = outsideHighlight ? 1 : 0;
+        if (unionDayLayers.length) st.u = unionVisible ? 1 : 0;
+        if (basemaps.length > 1) st.b = basemapId;
+        return st;
+      }
+
+      async function buildPermalink(){
+        const url = new URL(location.href);
+        url.searchParams.set('view', await encodeViewState(captureViewState()));
+        return url.toString();
+      }
+
+      async function copyPermalink(){
+        const href = await buildPermalink();
+        const ok = await copyText(href);
+        if (ok) info('Link copied — it reopens this exact view.');
+        else warn('Copy failed — link is in the address bar.');
+        try { history.replaceState(null, '', href); } catch {}
+      }
+
+      async function restoreViewState(st){
+        if (!st || !Object.keys(st).length) return;
+        try {
+          if (st.a && typeof st.a === 'object') {
+            Object.entries(st.a).forEach(([k, d]) => { if (d) activeAssignMap[normalizeKey(k)] = String(d); });
+            driverMeta = ensureDriverMeta(driverMeta, Object.values(st.a));
+          }
+          const idx = Number(st.i);
+          if (manualMode && Number.isInteger(idx) && idx >= 0 && idx < batchItems.length) {
+            await showRoute(idx);
+          } else if (Array.isArray(st.k)) {
+            manualSelectedKeys = st.k.map(normalizeKey);
+            await applySelection({ keepView: true });
+          } else if (st.a) {
+            driverSelectedCounts = computeDriverCounts();
+            await rebuildDriverOverlays();
+          }
+          if (Array.isArray(st.c) && st.c.length === 2 && st.c.every(Number.isFinite)) {
+            map.setView(st.c, Number.isFinite(st.z) ? st.z : map.getZoom(), { animate: false });
+          }
+          if (st.f) {
+            const lyr = coveragePolysAll.map(r => r.layerRef).find(l => l && l._routeKey === normalizeKey(st.f));
+            if (lyr) focusFeature(lyr, false);
+          }
+        } catch (e) {
+          console.warn('[view] restore failed', e);
+        }
+      }
+
+      // =================================================================
+      // Workload balancing (all batchItems × driver counts × overlay area)
+      // =================================================================
+      const WORKLOAD_FIELDS = ['deliveries','apartments','baseBoxes','regulars','fruits','xls','customs','addOns','small','medium','large'];
+
+      function workloadSettings(){
+        const w = cfg.workload || {};
+        const pct = Number(qs.get('imbalance') ?? w.thresholdPct ?? 20);
+        const metric = String(w.metric || 'deliveries');
+        return { thresholdPct: Number.isFinite(pct) && pct > 0 ? pct : 20, metric };
+      }
+
+      function setWorkloadVisible(on){
+        workloadOn = !!on;
+        ensureWorkloadUi();
+        workloadEl.style.display = workloadOn ? 'block' : 'none';
+        document.getElementById('btnLoad')?.classList.toggle('armed', workloadOn);
+        if (workloadOn) renderWorkload();
+      }
+
+      function ensureWorkloadUi(){
+        if (workloadEl) return;
+        workloadEl = document.createElement('div');
+        workloadEl.id = 'workload';
+        workloadEl.className = 'panel';
+        workloadEl.setAttribute('aria-live', 'polite');
+        document.body.appendChild(workloadEl);
+        workloadEl.addEventListener('click', (e) => {
+          if (e.target.getAttribute?.('data-act') === 'close') setWorkloadVisible(false);
+        });
+      }
+
+      // One row per day × driver. Stats come from every batch item (not just the focused one);
+      // customers and area can only come from what is on the map, so they are null when not loaded.
+      function buildWorkloadRows(){
+        const { metric, thresholdPct } = workloadSettings();
+        const counts = computeDriverCounts(true);
+        const haveCustomers = customerMarkers.length > 0;
+        const overlayByLower = new Map(Object.keys(driverOverlays).map(n => [n.toLowerCase(), driverOverlays[n]]));
+
+        const rows = new Map();
+        for (const it of batchItems) {
+          const day = String(it.day || '').trim();
+          const driver = String(it.driver || lookupDriverForKey(normalizeKey((it.keys || [])[0])) || '').trim();
+          const id = `${driver.toLowerCase()}|${day.toLowerCase()}`;
+          if (!rows.has(id)) {
+            const zero = {}; WORKLOAD_FIELDS.forEach(f => { zero[f] = 0; });
+            rows.set(id, { id, day, driver, routes: 0, ...zero });
+          }
+          const r = rows.get(id);
+          const s = getStatsNumbers(it.stats || {});
+          r.routes += 1;
+          WORKLOAD_FIELDS.forEach(f => { r[f] += s[f]; });
+        }
+
+        const out = Array.from(rows.values());
+        out.forEach(r => {
+          r.customers = haveCustomers ? (counts[r.id] || 0) : null;
+          const ov = overlayByLower.get(r.driver.toLowerCase());
+          const km2 = ov?.areaKm2ByDay?.[r.day.toLowerCase()];
+          r.areaKm2 = typeof km2 === 'number' ? km2 : null;
+        });
+
+        // deviation from the day's mean on the chosen metric
+        const byDay = new Map();
+        out.forEach(r => { const d = r.day.toLowerCase(); if (!byDay.has(d)) byDay.set(d, []); byDay.get(d).push(r); });
+        const means = new Map();
+        byDay.forEach((list, d) => {
+          const vals = list.map(r => r[metric]).filter(v => typeof v === 'number');
+          const mean = vals.length ? vals.reduce((a, b) => a + b, 0) / vals.length : null;
+          means.set(d, mean);
+          list.forEach(r => {
+            const v = r[metric];
+            r.devPct = (typeof v === 'number' && mean) ? ((v - mean) / mean) * 100 : null;
+            r.flag = (r.devPct != null && list.length > 1 && Math.abs(r.devPct) > thresholdPct) ? (r.devPct > 0 ? 'over' : 'under') : '';
+          });
+        });
+
+        out.sort((a, b) => a.day.toLowerCase().localeCompare(b.day.toLowerCase()) || a.driver.toLowerCase().localeCompare(b.driver.toLowerCase()));
+        return { rows: out, byDay, means, metric, thresholdPct };
+      }
+
+      function renderWorkload(){
+        if (!workloadEl || !workloadOn) return;
+        const { rows, byDay, means, metric, thresholdPct } = buildWorkloadRows();
+        const cols = [
+          ['routes','Rt'], ['deliveries','Del'], ['apartments','Apt'], ['baseBoxes','Base'], ['regulars','Reg'], ['fruits','Fru'],
+          ['xls','XL'], ['customs','Cus'], ['addOns','Add'], ['small','S'], ['medium','M'], ['large','L'],
+          ['customers','Cust'], ['areaKm2','km²']
+        ];
+        const fmt = (k, v) => v == null ? '—' : (k === 'areaKm2' ? v.toFixed(1) : String(Math.round(v * 10) / 10));
+        const head = `<tr><th>Day</th><th>Driver</th>${cols.map(([k, lbl]) => `<th${k === metric ? ' class="metric"' : ''}>${lbl}</th>`).join('')}<th>Δ%</th></tr>`;
+
+        let body = '';
+        byDay.forEach((list, d) => {
+          const dayRows = rows.filter(r => r.day.toLowerCase() === d);
+          body += dayRows.map(r => `<tr class="${r.flag}">
+              <td>${escapeHtml(r.day)}</td><td>${escapeHtml(r.driver || '—')}</td>
+              ${cols.map(([k]) => `<td>${fmt(k, r[k])}</td>`).join('')}
+              <td>${r.devPct == null ? '—' : `${r.devPct > 0 ? '+' : ''}${Math.round(r.devPct)}`}</td>
+            </tr>`).join('');
+          const avg = (k) => { const v = list.map(r => r[k]).filter(x => typeof x === 'number'); return v.length ? v.reduce((a, b) => a + b, 0) / v.length : null; };
+          body += `<tr class="mean"><td>${escapeHtml(list[0].day)}</td><td>mean</td>${cols.map(([k]) => `<td>${fmt(k, k === metric ? means.get(d) : avg(k))}</td>`).join('')}<td></td></tr>`;
+        });
+
+        const flagged = rows.filter(r => r.flag).length;
+        workloadEl.innerHTML = `
+          <h4>Workload <span class="counts">${rows.length} route set(s) • ${flagged} flagged</span><button type="button" data-act="close" aria-label="Close">×</button></h4>
+          <div class="scroll"><table>${head}${body || `<tr><td colspan="${cols.length + 3}">No batch items.</td></tr>`}</table></div>
+          <div class="note">Flag: ${escapeHtml(metric)} off the day's mean by more than ±${thresholdPct}%. Customers and km² follow the map selection (overview = whole batch).</div>`;
+      }
+
+      // =================================================================
+      // Live refresh (cfg.behavior.refreshSeconds / ?refresh=N)
+      // =================================================================
+      function startAutoRefresh(){
+        const secs = Number(qs.get('refresh') ?? cfg.behavior?.refreshSeconds ?? 0);
+        if (!Number.isFinite(secs) || secs <= 0) return;
+        const ms = Math.max(5, secs) * 1000; // floor: don't hammer published sheets
+        const tick = async () => {
+          try {
+            // never swap data under an open capture frame or a hidden tab
+            if (!document.hidden && !snapArmed && !packetBusy) await refreshSources();
+          } catch (e) {
+            console.warn('[refresh] poll failed', e);
+          } finally {
+            refreshTimer = setTimeout(tick, ms);
+          }
+        };
+        refreshTimer = setTimeout(tick, ms);
+        updateDiagnostics();
+      }
+
+      async function refreshSources(){
+        const parts = [];
+
+        // 1) Selection CSV — only when it (not batch/manual keys) drives the selection
+        const selUrl = selectionCsvUrl();
+        if (selUrl && selectionFromCsv()) {
+          const text = await fetchText(selUrl);
+          if (text !== lastSelectionText) {
+            const before = new Set(selectedOrderedKeys);
+            // the layers themselves don't change between polls: restyle only the zones whose keys came or went
+            await applySelection({ keepView: true, incremental: true, selectionText: text });
+            const after = new Set(selectedOrderedKeys);
+            const plus = [...after].filter(k => !before.has(k)).length;
+            const minus = [...before].filter(k => !after.has(k)).length;
+            parts.push(`selection +${plus}/−${minus} keys`);
+          }
+        }
+
+        // 2) Customers CSV — diff markers by coords+note, keep the rest untouched
+        const custDelta = await refreshCustomers();
+        if (custDelta) parts.push(`customers +${custDelta.added}/−${custDelta.removed}`);
+
+        lastRefreshAt = Date.now();
+        if (parts.length) info(`Refreshed: ${parts.join(' • ')}`);
+        updateDiagnostics();
+      }
+
+      async function refreshCustomers(){
+        const custCfg = cfg.customers || {};
+        if (runtimeCustEnabled === false || !custCfg.enabled || !custCfg.url) return null;
+
+        const gen = customersGen;
+        const text = await fetchText(custCfg.url);
+        if (gen !== customersGen || text === lastCustomersText) return null;
+        const rows = parseCsvRows(text);
+        const hdrIdx = rows.length ? findCustomerHeaderIndex(rows, custCfg.schema || { coords: 'Verified Coordinates', note: 'Order Note' }) : -1;
+        if (hdrIdx === -1) return null; // keep what we have rather than blanking the map on a bad publish
+        lastCustomersText = text;
+
+        // multiset by id so duplicate rows diff correctly
+        const incoming = new Map();
+        for (const c of customerRecordsFromRows(rows, hdrIdx)) {
+          if (!incoming.has(c.id)) incoming.set(c.id, []);
+          incoming.get(c.id).push(c);
+        }
+
+        let removed = 0, added = 0;
+        for (let i = customerMarkers.length - 1; i >= 0; i--) {
+          const rec = customerMarkers[i];
+          const bucket = incoming.get(rec.id);
+          if (bucket && bucket.length) { bucket.pop(); continue; }
+          customerLayer.removeLayer(rec.marker);
+          customerMarkers.splice(i, 1);
+          removed++;
+        }
+        incoming.forEach(bucket => bucket.forEach(c => { addCustomerMarker(c); added++; }));
+        if (!added && !removed) return null;
+
+        customerCount = customerMarkers.length;
+        recolorAndRecountCustomers();
+        const activeKeysOrderedLower = selectedOrderedKeys.filter(k => visibleSelectedKeysSet.has(k)).map(k => k.toLowerCase());
+        setStatus(makeStatusLine(selectedMunicipalities, custWithinSel, custOutsideSel, activeKeysOrderedLower));
+        return { added, removed };
+      }
+
+      // =================================================================
+      // Offline (sw.js): registration, precache hints, stale badge
+      // =================================================================
+      function registerOfflineWorker(){
+        const ocfg = cfg.offline || {};
+        const wanted = offlineParam === '1' || (offlineParam !== '0' && ocfg.enabled === true);
+        if (!wanted || !('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.addEventListener('message', (e) => {
+          if (e.data?.type !== 'tilesCached') return;
+          offline.tilesDone = e.data.done; offline.tilesTotal = e.data.total;
+          updateDiagnostics();
+        });
+        navigator.serviceWorker.register('./sw.js').then(async () => {
+          offline.reg = await navigator.serviceWorker.ready;
+          // a ?cfg= override and its layers aren't known to the worker's install step
+          const layerSets = [cfg.layers, cfg.layersQuadrants, cfg.layersSubquadrants, cfg.layersUnion];
+          const urls = [cfgUrl, ...layerSets.flatMap(arr => (arr || []).map(l => l?.url).filter(Boolean))]
+            .map(u => new URL(u, location.href).href);
+          offline.reg.active?.postMessage({ type: 'precache', urls });
+          offline.tilesKey = '';
+          queueOfflineTiles();
+          updateDiagnostics();
+        }).catch(e => console.warn('[offline] service worker unavailable', e));
+      }
+
+      // Tiles covering the current selection for every zoom fitWithHints may land on (defaults 7–11,
+      // widened by batch view hints). Low zooms first so a cap still leaves a usable overview.
+      // Public tile servers (OSM, Carto…) forbid bulk downloads: only same-origin sources or a basemap with
+      // "allowPrecache": true (your own tile server) are prefetched; the rest are cached as they are viewed.
+      function queueOfflineTiles(){
+        const bounds = selectionBounds || allBounds;
+        if (!offline.reg?.active || !bounds || !basemapPrecacheAllowed(currentBasemap())) return;
+        const key = bounds.toBBoxString();
+        if (key === offline.tilesKey) return;
+        offline.tilesKey = key;
+
+        const hints = batchItems.map(it => it.view || {});
+        const minZ = Math.min(7, ...hints.map(h => Number(h.minZoom)).filter(Number.isFinite));
+        const maxZ = Math.max(11, ...hints.map(h => Number(h.maxZoom)).filter(Number.isFinite));
+        const cap = Number(cfg.offline?.maxTiles ?? 1500);
+        const padded = bounds.pad(0.1);
+        const urls = [];
+        const src = currentBasemap();
+        const subs = src.subdomains || 'abc';
+        for (let z = minZ; z <= maxZ && urls.length < cap; z++) {
+          const nw = map.project(padded.getNorthWest(), z).divideBy(256).floor();
+          const se = map.project(padded.getSouthEast(), z).divideBy(256).floor();
+          for (let x = nw.x; x <= se.x && urls.length < cap; x++) for (let y = nw.y; y <= se.y && urls.length < cap; y++) {
+            urls.push(L.Util.template(src.url, { s: subs[Math.abs(x + y) % subs.length], z, x, y: src.tms ? (2 ** z) - 1 - y : y, r: '' }));
+          }
+        }
+        offline.reg.active.postMessage({ type: 'cacheTiles', urls });
+      }
+
+      function basemapPrecacheAllowed(src){
+        if (src.allowPrecache === true) return true;
+        try { return new URL(src.url.replace(/\{[^}]*\}/g, '0'), location.href).origin === location.origin; } catch { return false; }
+      }
+
+      function renderStaleBadge(){
+        let badge = document.getElementById('staleBadge');
+        if (!staleSources.size) { if (badge) badge.style.display = 'none'; return; }
+        if (!badge) { badge = document.createElement('div'); badge.id = 'staleBadge'; badge.setAttribute('role', 'status'); document.body.appendChild(badge); }
+        const labelFor = (u) => u === selectionCsvUrl() ? 'selection' : (u === cfg.customers?.url ? 'customers' : (u === cfgUrl ? 'config' : 'layers'));
+        const parts = new Map();
+        staleSources.forEach((since, u) => {
+          const lbl = labelFor(u);
+          const t = new Date(since);
+          if (!parts.has(lbl) || t < parts.get(lbl)) parts.set(lbl, t);
+        });
+        const fmt = (t) => t.getTime() > 0 ? t.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }) : 'unknown';
+        badge.textContent = `⚠ Offline — ${Array.from(parts, ([lbl, t]) => `${lbl} stale since ${fmt(t)}`).join(' • ')}`;
+        badge.style.display = 'block';
+      }
+
+      // =================================================================
+      // Embedding API — window.DispatchViewer + postMessage bridge
+      // =================================================================
+      // Host → viewer: { type: 'dispatchviewer:call', id, method, args: [...] }
+      // Viewer → host: { type: 'dispatchviewer:result', id, ok, result | error }
+      //                { type: 'dispatchviewer:event', event, detail }
+      // Events: ready, selectionchanged, routefocused, snapshot, error. Commands wait for boot to finish.
+      // setSelection([]) empties the selection; clearSelection() goes back to the selection CSV.
+      function installEmbedApi(){
+        const whenReady = async () => { await viewerReady; };
+        const api = {
+          version: 1,
+          ready: viewerReady.then(() => viewerSummary()),
+          on(type, fn) {
+            if (typeof fn !== 'function') return () => {};
+            if (!viewerListeners.has(type)) viewerListeners.set(type, new Set());
+            viewerListeners.get(type).add(fn);
+            return () => api.off(type, fn);
+          },
+          off(type, fn) { viewerListeners.get(type)?.delete(fn); },
+          async getState() { await whenReady(); return viewerSummary(); },
+          async setSelection(keys) {
+            await whenReady();
+            manualSelectedKeys = (Array.isArray(keys) ? keys : splitKeys(keys)).map(normalizeKey).filter(Boolean);
+            emptySelectionPinned = !manualSelectedKeys.length;
+            await applySelection();
+            return selectionPayload();
+          },
+          async clearSelection() {
+            await whenReady();
+            manualSelectedKeys = null; emptySelectionPinned = false; // back to the selection CSV
+            await applySelection();
+            return selectionPayload();
+          },
+          async setAssignMap(assign) {
+            await whenReady();
+            if (!assign || typeof assign !== 'object' || Array.isArray(assign)) throw new Error('setAssignMap expects { key: driver }');
+            activeAssignMap = {};
+            Object.entries(assign).forEach(([k, d]) => { if (d) activeAssignMap[normalizeKey(k)] = String(d); });
+            driverSelectedCounts = computeDriverCounts();
+            await rebuildDriverOverlays();
+            if (workloadOn) renderWorkload();
+            return { ...activeAssignMap };
+          },
+          async setDriverMeta(meta) {
+            await whenReady();
+            if (!Array.isArray(meta)) throw new Error('setDriverMeta expects an array of { name, color }');
+            driverMeta = [...meta];
+            await rebuildDriverOverlays();
+            return driverMeta.length;
+          },
+          async next() { await whenReady(); await stepRouteCycle(+1); return viewerSummary(); },
+          async prev() { await whenReady(); await stepRouteCycle(-1); return viewerSummary(); },
+          async showRoute(idx) {
+            await whenReady();
+            const i = Number(idx);
+            if (i === -1) await zoomToOverview();
+            else if (Number.isInteger(i) && i >= 0 && i < batchItems.length) await showRoute(i);
+            else throw new Error(`No batch route at index ${idx} (0–${batchItems.length - 1}, or -1 for overview)`);
+            return viewerSummary();
+          },
+          async overview() { await whenReady(); await zoomToOverview(); return viewerSummary(); },
+          async snapshot(opts = {}) { await whenReady(); return takeSnapshot(opts || {}); }
+        };
+        try { window.DispatchViewer = api; } catch {}
+        window.addEventListener('message', onHostMessage);
+        window.addEventListener('dispatchviewer:topError', (e) => emitViewerEvent('error', e.detail || {}));
+      }
+
+      async function onHostMessage(e){
+        const msg = e.data;
+        if (!msg || typeof msg !== 'object' || msg.type !== 'dispatchviewer:call') return;
+        if (!e.source || !embedOrigins().includes(e.origin)) return;
+        const reply = (body) => { try { e.source.postMessage({ type: 'dispatchviewer:result', id: msg.id, ...body }, e.origin); } catch (err) { console.warn('[embed] reply failed', err); } };
+        const fn = window.DispatchViewer?.[msg.method];
+        if (['on', 'off', 'ready', 'version'].includes(msg.method) || typeof fn !== 'function') { reply({ ok: false, error: `Unknown method: ${msg.method}` }); return; }
+        try { reply({ ok: true, result: await fn(...(Array.isArray(msg.args) ? msg.args : [])) }); }
+        catch (err) { reply({ ok: false, error: String(err?.message || err) }); }
+      }
+
+      function emitViewerEvent(type, detail){
+        (viewerListeners.get(type) || []).forEach(fn => { try { fn(detail); } catch (err) { console.error('[embed] listener failed', type, err); } });
+        window.dispatchEvent(new CustomEvent(`dispatchviewer:${type}`, { detail }));
+        const host = window.parent !== window ? embedHostOrigin() : '';
+        if (host) {
+          try { window.parent.postMessage({ type: 'dispatchviewer:event', event: type, detail }, host); } catch (err) { console.warn('[embed] post failed', type, err); }
+        }
+      }
+
+      // Origins allowed to drive the viewer and receive its events: ?embedOrigin= plus cfg.embed.allowedOrigins.
+      // Selection keys, stats and snapshots are not for any page that happens to frame the viewer.
+      function embedOrigins(){
+        return [embedOrigin, ...(cfg.embed?.allowedOrigins || [])].map(o => {
+          try { return o ? new URL(String(o)).origin : ''; } catch { return ''; }
+        }).filter(o => o && o !== 'null');
+      }
+      // the parent's origin when the browser tells us and it is allowed; a lone allowed origin is used as is
+      // (postMessage drops the event if the parent turns out to be someone else)
+      function embedHostOrigin(){
+        const allowed = embedOrigins();
+        let parent = location.ancestorOrigins?.[0] || '';
+        if (!parent && document.referrer) { try { parent = new URL(document.referrer).origin; } catch {} }
+        if (allowed.includes(parent)) return parent;
+        return allowed.length === 1 ? allowed[0] : '';
+      }
+
+      // Payloads are plain data (postMessage structured-clones them)
+      function routePayload(idx){
+        const it = (idx >= 0 && idx < batchItems.length) ? batchItems[idx] : null;
+        if (!it) return null;
+        return { index: idx, day: it.day || '', driver: it.driver || '', name: it.name || '', keys: (it.keys || []).slice(), stats: getStatsNumbers(it.stats || {}) };
+      }
+      function selectionPayload(){
+        return {
+          keys: selectedOrderedKeys.slice(),
+          visibleKeys: selectedOrderedKeys.filter(k => visibleSelectedKeysSet.has(k)),
+          municipalities: selectedMunicipalities.slice(),
+          customers: { total: customerCount, inside: custWithinSel, outside: custOutsideSel, byDay: { ...custByDayInSel } },
+          drivers: { ...driverSelectedCounts }
+        };
+      }
+      function viewerSummary(){
+        return { index: currentIndex, routes: batchItems.length, route: routePayload(currentIndex), selection: selectionPayload(), view: captureViewState() };
+      }
+
+      // framed:true reuses the Snap frame (manual UI); otherwise the whole map, banner drawn like auto-export
+      async function takeSnapshot(opts = {}){
+        await ensureLibs(); await waitForTilesReady(map, 12000);
+        const it = (currentIndex >= 0 && currentIndex < batchItems.length) ? batchItems[currentIndex] : null;
+        let canvas;
+        if (opts.framed && manualMode && batchItems.length) {
+          ensureSnapshotUi();
+          if (!restoreFrameRect()) { const r = defaultFrameRect(); setFrameRect(r.left, r.top, r.width, r.height); }
+          const r = getFrameRect();
+          canvas = await captureCanvas(r);
+          await renderSnapshotTemplate(canvas, it, r);
+        } else {
+          canvas = await captureMapCanvas();
+          await renderSnapshotTemplate(canvas, it, mapFrameRect());
+        }
+        const { dataUrl, mime, ext } = encodeCanvas(canvas);
+        if (dataUrl.length < 256) throw new Error('Empty image produced. Check CORS or waitForTilesReady.');
+        const name = ensureExt(opts.name || (it ? (it.outName || `${safeName(it.driver)}_${safeName(it.day)}.${ext}`) : `overview.${ext}`), ext);
+        const payload = { name, mimeType: mime, dataUrl, index: currentIndex, route: routePayload(currentIndex) };
+        emitViewerEvent('snapshot', payload);
+        return payload;
+      }
+
+      // =================================================================
+      // Global search (zones, municipalities, drivers, customer notes)
+      // =================================================================
+      const SEARCH_GROUPS = [['zone', 'Zones'], ['muni', 'Municipalities'], ['driver', 'Drivers'], ['customer', 'Customers']];
+
+      function ensureSearchUi(){
+        if (searchEl) return;
+        searchEl = document.createElement('div');
+        searchEl.id = 'search';
+        searchEl.className = 'panel';
+        searchEl.innerHTML = `
+          <input type="search" placeholder="Search zones, towns, drivers, notes…  ( / )" aria-label="Search" autocomplete="off"
+                 role="combobox" aria-expanded="false" aria-controls="searchResults">
+          <div id="searchResults" role="listbox"></div>`;
+        document.body.appendChild(searchEl);
+        L.DomEvent.disableClickPropagation(searchEl);
+        L.DomEvent.disableScrollPropagation(searchEl);
+
+        const input = searchEl.querySelector('input');
+        input.addEventListener('input', () => renderSearchResults(input.value));
+        input.addEventListener('focus', () => { if (input.value) renderSearchResults(input.value); });
+        input.addEventListener('keydown', (e) => {
+          if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (!search.results.length) return;
+            const n = search.results.length;
+            search.active = (search.active + (e.key === 'ArrowDown' ? 1 : -1) + n) % n;
+            markActiveResult();
+          } else if (e.key === 'Enter') {
+            e.preventDefault();
+            const r = search.results[Math.max(0, search.active)];
+            if (r) pickSearchResult(r);
+          } else if (e.key === 'Escape') {
+            e.preventDefault();
+            if (input.value) { input.value = ''; renderSearchResults(''); } else input.blur();
+          }
+        });
+        searchEl.querySelector('#searchResults').addEventListener('mousedown', (e) => {
+          const li = e.target.closest?.('[data-ridx]');
+          if (!li) return;
+          e.preventDefault(); // keep focus in the input
+          pickSearchResult(search.results[+li.getAttribute('data-ridx')]);
+        });
+        input.addEventListener('blur', () => setTimeout(() => closeSearchResults(), 120));
+
+        // "/" jumps to the box from anywhere (same guard as the toolbar shortcuts)
+        window.addEventListener('keydown', (e) => {
+          const tag = (e.target && e.target.tagName || '').toLowerCase();
+          if (tag === 'input' || tag === 'textarea' || e.target?.isContentEditable) return;
+          if (e.key === '/' && !e.ctrlKey && !e.metaKey && !e.altKey) { e.preventDefault(); input.focus(); input.select(); }
+        });
+      }
+
+      function searchIndex(q){
+        const needle = q.trim().toLowerCase();
+        if (!needle) return [];
+        const keyQ = normalizeKey(q).toLowerCase();
+        const rank = (hay) => { const h = hay.toLowerCase(); return h === needle || h === keyQ ? 0 : (h.startsWith(needle) || h.startsWith(keyQ) ? 1 : (h.includes(needle) ? 2 : -1)); };
+        const out = [];
+
+        // zones — one hit per key (tiers keep their own keys, so W1 and W1_NE are separate)
+        const seenKeys = new Set();
+        for (const arr of allDaySets) for (const entry of arr) for (const lyr of entry.features) {
+          const k = lyr._routeKey; if (!k || seenKeys.has(k)) continue;
+          const r = rank(k); if (r < 0) continue;
+          seenKeys.add(k);
+          out.push({ type: 'zone', rank: r, label: k, sub: `${lyr._day} • ${lyr._labelTxt || ''}`, lyr });
+        }
+
+        // municipalities — grouped over base zones (falls back to any tier)
+        const munis = new Map();
+        for (const arr of allDaySets) for (const entry of arr) for (const lyr of entry.features) {
+          const m = lyr._labelTxt; if (!m) continue;
+          if (!munis.has(m)) munis.set(m, { base: [], any: [] });
+          const g = munis.get(m);
+          (arr === baseDayLayers ? g.base : g.any).push(lyr);
+        }
+        munis.forEach((g, m) => {
+          const r = rank(m); if (r < 0) return;
+          const lyrs = g.base.length ? g.base : g.any;
+          const days = Array.from(new Set(lyrs.map(l => l._day)));
+          out.push({ type: 'muni', rank: r, label: m, sub: `${lyrs.length} zone(s) • ${days.join(', ')}`, lyrs });
+        });
+
+        // drivers — assignMap values plus driverMeta names
+        const drivers = new Set([...Object.values(activeAssignMap || {}), ...driverMeta.map(d => d?.name)].filter(Boolean).map(String));
+        drivers.forEach(name => {
+          const r = rank(name); if (r < 0) return;
+          const keys = Object.keys(activeAssignMap || {}).filter(k => activeAssignMap[k] === name);
+          out.push({ type: 'driver', rank: r, label: name, sub: `${keys.length} key(s)`, keys });
+        });
+
+        // customer notes — substring only
+        for (const rec of customerMarkers) {
+          const note = String(rec.note || '');
+          const at = note.toLowerCase().indexOf(needle);
+          if (at === -1) continue;
+          const from = Math.max(0, at - 24);
+          out.push({ type: 'customer', rank: 2, label: (from ? '…' : '') + note.slice(from, at + needle.length + 40), sub: rec.selLyr ? rec.selLyr._routeKey : 'outside selection', rec });
+        }
+        return out;
+      }
+
+      function renderSearchResults(q){
+        const box = searchEl.querySelector('#searchResults');
+        const limit = { zone: 8, muni: 6, driver: 6, customer: 10 };
+        const all = searchIndex(q);
+        search.results = [];
+        const html = SEARCH_GROUPS.map(([type, title]) => {
+          const hits = all.filter(r => r.type === type).sort((a, b) => a.rank - b.rank || a.label.localeCompare(b.label, undefined, { numeric: true }));
+          if (!hits.length) return '';
+          const shown = hits.slice(0, limit[type]);
+          const rows = shown.map(r => {
+            const idx = search.results.push(r) - 1;
+            return `<div class="hit" role="option" data-ridx="${idx}"><span>${escapeHtml(r.label)}</span><small>${escapeHtml(r.sub || '')}</small></div>`;
+          }).join('');
+          const more = hits.length > shown.length ? `<div class="more">+${hits.length - shown.length} more</div>` : '';
+          return `<div class="grp">${title}</div>${rows}${more}`;
+        }).join('');
+        search.active = search.results.length ? 0 : -1;
+        box.innerHTML = q.trim() ? (html || '<div class="more">No matches</div>') : '';
+        box.style.display = q.trim() ? 'block' : 'none';
+        searchEl.querySelector('input').setAttribute('aria-expanded', String(!!q.trim()));
+        markActiveResult();
+      }
+
+      function markActiveResult(){
+        searchEl.querySelectorAll('#searchResults .hit').forEach(n => {
+          const on = +n.getAttribute('data-ridx') === search.active;
+          n.classList.toggle('active', on);
+          n.setAttribute('aria-selected', String(on));
+          if (on) n.scrollIntoView({ block: 'nearest' });
+        });
+      }
+
+      function closeSearchResults(){
+        const box = searchEl?.querySelector('#searchResults');
+        if (box) box.style.display = 'none';
+        searchEl?.querySelector('input')?.setAttribute('aria-expanded', 'false');
+      }
+
+      function pickSearchResult(r){
+        if (!r) return;
+        closeSearchResults();
+        searchEl.querySelector('input').blur();
+        if (r.type === 'zone') { revealAndFocus(r.lyr); return; }
+        if (r.type === 'muni') {
+          if (r.lyrs.length === 1) { revealAndFocus(r.lyrs[0]); return; }
+          fitLayers(r.lyrs);
+          return;
+        }
+        if (r.type === 'driver') {
+          const lyrs = baseDayLayers.flatMap(e => e.features).filter(l => lookupDriverForKey(l._routeKey) === r.label);
+          const ov = driverOverlays[r.label];
+          if (ov && !driversToggledOff.has(r.label.toLowerCase())) toggleDriverOverlay(r.label, true);
+          if (lyrs.length) fitLayers(lyrs);
+          else if (ov?.group?.getBounds) map.fitBounds(ov.group.getBounds().pad(0.1));
+          else warn(`No loaded zones are assigned to ${escapeHtml(r.label)}.`);
+          return;
+        }
+        if (r.type === 'customer') {
+          const rec = r.rec;
+          const open = () => {
+            // clustered / filtered-out markers aren't on the map; fall back to a free popup at the point
+            if (rec.marker._map) rec.marker.openPopup();
+            else L.popup().setLatLng([rec.lat, rec.lng]).setContent(rec.marker.getPopup()?.getContent() || '').openOn(map);
+          };
+          map.once('moveend', open);
+          map.setView([rec.lat, rec.lng], Math.max(map.getZoom(), clusterSettings().maxZoom, 15));
+        }
+      }
+
+      // focus after the fit settles: movestart clears focus
+      function revealAndFocus(lyr){
+        const entry = allDaySets.flatMap(a => a).find(e => e.features.includes(lyr));
+        const reveal = () => { if (entry && !entry.layer.hasLayer(lyr)) { entry.layer.addLayer(lyr); revealedZones.set(lyr, entry); } }; // hidden by unselectedMode → show as context
+        reveal();
+        revealPending = lyr;
+        map.once('moveend', () => {
+          revealPending = null;
+          reveal(); // still on the map and focused, whatever ran during the fit
+          focusFeature(lyr, false); openPolygonPopup(lyr);
+        });
+        map.fitBounds(lyr.getBounds().pad(0.2));
+      }
+      function fitLayers(lyrs){
+        const b = lyrs.reduce((acc, l) => acc ? acc.extend(l.getBounds()) : L.latLngBounds(l.getBounds()), null);
+        if (b) map.fitBounds(b.pad(0.1));
+      }
+
+      // =================================================================
+      // Layer linter (?lint=1) — integrity report over every loaded zone tier
+      // =================================================================
+      function lintSettings(){
+        const lc = cfg.lint || {};
+        const num = (v, fb) => Number.isFinite(Number(v)) ? Number(v) : fb;
+        return {
+          areaTolPct:   num(lc.areaTolerancePct, 2),
+          minOverlapM2: num(lc.minOverlapM2, 500),
+          minGapM2:     num(lc.minGapM2, 20000)
+        };
+      }
+
+      function runLayerLint(){
+        const { areaTolPct, minOverlapM2, minGapM2 } = lintSettings();
+        const problems = [];
+        const add = (kind, msg, layers = [], geom = null) => problems.push({ kind, msg, layers, geom });
+        const sameDay = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+        const tiers = [['base', baseDayLayers], ['quadrant', quadDayLayers], ['subquadrant', subqDayLayers]];
+        const byKey = { base: new Map(), quadrant: new Map(), subquadrant: new Map() };
+
+        // per-feature: key grammar, tier, day agreement
+        for (const [tier, arr] of tiers) for (const entry of arr) for (const lyr of entry.features) {
+          const raw = lyr._rawKey || '';
+          if (!raw) { add('unparsed', `${tier} feature on the ${entry.day} layer has no "${cfg.fields.key}"`, [lyr]); continue; }
+          if (!keyGrammar.normRe.test(raw.toUpperCase())) add('unparsed', `"${raw}" doesn't parse as a zone key (${entry.day} ${tier} layer)`, [lyr]);
+          else if (keyTier(lyr._routeKey) !== tier) add('unparsed', `"${raw}" reads as a ${keyTier(lyr._routeKey)} key but sits in the ${entry.day} ${tier} layer`, [lyr]);
+
+          const zoneDay = lyr._zoneVal ? canonicalDay(lyr._zoneVal) : '';
+          if (zoneDay && !sameDay(zoneDay, entry.day)) add('day', `${lyr._routeKey}: ${cfg.fields.day}="${lyr._zoneVal}" but layer day is ${entry.day}`, [lyr]);
+          const kd = prefixDay(lyr._routeKey);
+          if (kd && !sameDay(kd, entry.day)) add('day', `${lyr._routeKey}: key prefix means ${kd} but layer day is ${entry.day}`, [lyr]);
+
+          const m = byKey[tier];
+          if (!m.has(lyr._routeKey)) m.set(lyr._routeKey, []);
+          m.get(lyr._routeKey).push(lyr);
+        }
+        for (const [tier, m] of Object.entries(byKey)) m.forEach((lyrs, k) => {
+          if (lyrs.length > 1) add('duplicate', `${k} appears ${lyrs.length}× in the ${tier} tier (${Array.from(new Set(lyrs.map(l => l._day))).join(', ')})`, lyrs);
+        });
+
+        // parents: quadrant → base, subquadrant → quadrant (or base when no quadrant tier is loaded)
+        const parentOf = (tier, k) => tier === 'quadrant' ? { tier: 'base', key: baseKeyFrom(k) }
+          : (quadDayLayers.length ? { tier: 'quadrant', key: basePlusQuad(k) } : { tier: 'base', key: baseKeyFrom(k) });
+        const children = new Map(); // "tier|key" → [lyr]
+        for (const tier of ['quadrant', 'subquadrant']) byKey[tier].forEach((lyrs, k) => {
+          if (keyTier(k) !== tier) return; // already reported as unparseable
+          const p = parentOf(tier, k);
+          if (!byKey[p.tier].has(p.key)) { add('orphan', `${tier} ${k} has no ${p.tier} ${p.key}`, lyrs); return; }
+          const id = `${p.tier}|${p.key}`;
+          if (!children.has(id)) children.set(id, []);
+          children.get(id).push(lyrs[0]);
+        });
+
+        // children must tile their parent
+        children.forEach((kids, id) => {
+          const [ptier, pkey] = id.split('|');
+          const parent = byKey[ptier].get(pkey)[0];
+          try {
+            const pArea = turf.area(parent._turfFeat);
+            const merged = unionFeatures(kids.map(l => l._turfFeat));
+            const cArea = merged ? turf.area(merged) : 0;
+            const diffPct = pArea ? ((cArea - pArea) / pArea) * 100 : 100;
+            if (Math.abs(diffPct) > areaTolPct) {
+              add('area', `${pkey}: ${kids.length} ${ptier === 'base' ? 'quadrant' : 'subquadrant'}(s) cover ${fmtKm2(cArea)} vs ${fmtKm2(pArea)} (${diffPct > 0 ? '+' : ''}${diffPct.toFixed(1)}%)`, [parent, ...kids]);
             }
-            if (reply) console.log('Saved:', toDriveViewLink(reply) || reply);
-          }catch(e){ console.error('auto export item failed', e); }
+          } catch (err) { console.warn('[lint] area check failed', pkey, err); }
+        });
+
+        // same-day overlaps and gaps (base tier)
+        for (const entry of baseDayLayers) {
+          const feats = entry.features.filter(l => l._turfFeat?.geometry);
+          const boxes = feats.map(l => turf.bbox(l._turfFeat));
+          for (let i = 0; i < feats.length; i++) for (let j = i + 1; j < feats.length; j++) {
+            const a = boxes[i], b = boxes[j];
+            if (a[0] > b[2] || b[0] > a[2] || a[1] > b[3] || b[1] > a[3]) continue;
+            try {
+              const hit = turf.intersect(feats[i]._turfFeat, feats[j]._turfFeat);
+              const m2 = hit ? turf.area(hit) : 0;
+              if (m2 > minOverlapM2) add('overlap', `${feats[i]._routeKey} ∩ ${feats[j]._routeKey} (${entry.day}): ${fmtKm2(m2)}`, [feats[i], feats[j]], hit.geometry);
+            } catch (err) { console.warn('[lint] overlap check failed', feats[i]._routeKey, feats[j]._routeKey, err); }
+          }
+          try {
+            const dayUnion = unionFeatures(feats.map(l => l._turfFeat));
+            if (!dayUnion) continue;
+            const gaps = [];
+            // holes inside the day's coverage
+            const polys = dayUnion.geometry.type === 'Polygon' ? [dayUnion.geometry.coordinates] : dayUnion.geometry.coordinates;
+            polys.forEach(rings => rings.slice(1).forEach(r => gaps.push(turf.polygon([r]))));
+            // ...and anything inside the day's service perimeter that no zone covers
+            const perim = unionDayLayers.find(e => sameDay(e.day, entry.day));
+            if (perim) perim.features.forEach(pl => {
+              try {
+                const rest = turf.difference(pl.toGeoJSON(), dayUnion);
+                if (rest) turf.flatten(rest).features.forEach(f => gaps.push(f));
+              } catch (err) { console.warn('[lint] perimeter difference failed', entry.day, err); }
+            });
+            gaps.forEach(g => {
+              const m2 = turf.area(g);
+              if (m2 <= minGapM2) return;
+              const c = turf.centroid(g).geometry.coordinates;
+              add('gap', `${entry.day}: uncovered ${fmtKm2(m2)} near ${c[1].toFixed(4)}, ${c[0].toFixed(4)}`, [], g.geometry);
+            });
+          } catch (err) { console.warn('[lint] gap check failed', entry.day, err); }
         }
+
+        lint.problems = problems;
+        lint.ranAt = Date.now();
+        drawLintHighlights();
+        renderLintPanel();
+        updateDiagnostics();
+        return problems;
+      }
+
+      function unionFeatures(feats){
+        let acc = null;
+        for (const f of feats) {
+          if (!f?.geometry) continue;
+          // polygon-clipping throws on some self-intersecting rings; skip the piece rather than the whole check
+          try { acc = acc ? (turf.union(acc, f) || acc) : f; } catch (err) { console.warn('[lint] union skipped', f.properties?.key, err); }
+        }
+        return acc;
+      }
+      function fmtKm2(m2){ return `${(m2 / 1e6).toFixed(m2 < 1e5 ? 3 : 2)} km²`; }
+
+      function drawLintHighlights(){
+        lintLayer.clearLayers();
+        const colors = { duplicate: '#d500f9', unparsed: '#d50000', day: '#ff6d00', orphan: '#d50000', area: '#ffab00', overlap: '#d50000', gap: '#2962ff' };
+        lint.problems.forEach((p, idx) => {
+          const style = { color: colors[p.kind] || '#d50000', weight: 3, opacity: 0.95, dashArray: '6 4', fillOpacity: p.geom ? 0.35 : 0.08 };
+          const shapes = p.geom ? [{ type: 'Feature', properties: {}, geometry: p.geom }] : p.layers.map(l => l._turfFeat);
+          const g = L.geoJSON({ type: 'FeatureCollection', features: shapes }, { pane: 'lintPane', style: () => style });
+          g.bindTooltip(`${escapeHtml(LINT_KINDS[p.kind])}: ${escapeHtml(p.msg)}`, { sticky: true });
+          g._lintIdx = idx;
+          p.highlight = g;
+          lintLayer.addLayer(g);
+        });
+      }
+
+      function ensureLintUi(){
+        if (lintEl) return;
+        lintEl = document.createElement('div');
+        lintEl.id = 'lint';
+        lintEl.className = 'panel';
+        lintEl.setAttribute('aria-live', 'polite');
+        document.body.appendChild(lintEl);
+        lintEl.addEventListener('click', (e) => {
+          const act = e.target.getAttribute?.('data-act');
+          if (act === 'close') { lintEl.style.display = 'none'; return; }
+          if (act === 'rerun') { runLayerLint(); return; }
+          if (act === 'csv') { exportLintReport(); return; }
+          const li = e.target.closest?.('li[data-idx]');
+          const p = li ? lint.problems[+li.getAttribute('data-idx')] : null;
+          if (p?.highlight) map.fitBounds(p.highlight.getBounds().pad(0.3));
+        });
+      }
+
+      function renderLintPanel(){
+        ensureLintUi();
+        lintEl.style.display = 'block';
+        const groups = new Map(Object.keys(LINT_KINDS).map(k => [k, []]));
+        lint.problems.forEach((p, idx) => groups.get(p.kind).push(idx));
+        const sections = Array.from(groups).filter(([, ids]) => ids.length).map(([kind, ids]) => `
+          <details open><summary>${escapeHtml(LINT_KINDS[kind])} (${ids.length})</summary>
+            <ul>${ids.map(i => `<li data-idx="${i}">${escapeHtml(lint.problems[i].msg)}</li>`).join('')}</ul>
+          </details>`).join('');
+        const counts = `base=${totalTierCount(baseDayLayers)} quad=${totalTierCount(quadDayLayers)} subq=${totalTierCount(subqDayLayers)}`;
+        lintEl.innerHTML = `
+          <h4>Layer lint — ${lint.problems.length ? `${lint.problems.length} problem(s)` : 'clean'}<button type="button" data-act="close" aria-label="Close">✕</button></h4>
+          <div class="note">${counts} • area tolerance ±${lintSettings().areaTolPct}%</div>
+          <div class="scroll">${sections || '<div class="note">No problems found.</div>'}</div>
+          <div class="row" style="display:flex;gap:6px;margin-top:6px">
+            <button type="button" data-act="rerun">Re-run</button>
+            <button type="button" data-act="csv"${lint.problems.length ? '' : ' disabled'}>Download CSV</button>
+          </div>`;
+      }
+      function totalTierCount(arr){ return arr.reduce((a, e) => a + e.features.length, 0); }
+
+      function exportLintReport(){
+        const rows = lint.problems.map(p => [p.kind, LINT_KINDS[p.kind], Array.from(new Set(p.layers.map(l => l._routeKey))).join(' '), Array.from(new Set(p.layers.map(l => l._day))).join(' '), p.msg]);
+        downloadText(toCsv([['kind', 'label', 'keys', 'days', 'detail'], ...rows]), 'layer_lint.csv', 'text/csv;charset=utf-8');
       }
 
       // =================================================================
@@ -870,6 +2930,8 @@
                 const day     = Lcfg.day;
 
                 lyr._routeKey   = keyNorm;
+                lyr._rawKey     = rawKey;
+                lyr._zoneVal    = (p[cfg.fields.day] ?? '').toString().trim();
                 lyr._baseKey    = baseKeyFrom(keyNorm);
                 lyr._day        = day;
                 lyr._perDay     = perDay;
@@ -878,12 +2940,17 @@
                 lyr._custAny    = 0;
                 lyr._custSel    = 0;
                 lyr._turfFeat   = { type:'Feature', properties:{ day, muni, key:keyNorm }, geometry: feat.geometry };
+                lyr._ord        = zoneOrdinal++; // load order == coverage iteration order
 
                 boundaryFeatures.push({ type:'Feature', geometry: feat.geometry });
                 features.push(lyr);
 
                 lyr.on('click', (e) => {
                   L.DomEvent.stopPropagation(e);
+                  if (pickMode.on) { togglePickedKey(lyr._routeKey); return; }
+                  if (assignEdit.on) { if (assignEdit.driver) assignKeysToDriver([lyr._routeKey], assignEdit.driver); return; }
+                  const outline = unionOutlineAt(e.latlng);
+                  if (outline) { openUnionPopup(outline, e.latlng); return; }
                   if (currentFocus === lyr) openPolygonPopup(lyr);
                   else { focusFeature(lyr); openPolygonPopup(lyr); }
                 });
@@ -891,6 +2958,7 @@
                 if (lyr.getBounds) {
                   const b = lyr.getBounds();
                   allBounds = allBounds ? allBounds.extend(b) : L.latLngBounds(b);
+                  zoneIndex.insert(lyr, [b.getWest(), b.getSouth(), b.getEast(), b.getNorth()]);
                 }
               }
             });
@@ -905,6 +2973,83 @@
         updateDiagnostics();
       }
 
+      // Per-day service perimeters (outline only; not part of selection/coverage)
+      async function loadUnionLayers(arr) {
+        const st = cfg.style?.union || {};
+        const muniField = cfg.fields?.unionMuni || 'MUNICIPALI';
+        for (const Lcfg of (arr || [])) {
+          try {
+            const gj = await fetchJson(Lcfg.url);
+            const perDay = (cfg.style?.perDay?.[Lcfg.day]) || {};
+            const features = [];
+
+            const layer = L.geoJSON(gj, {
+              pane: 'unionPane',
+              interactive: false, // the zones' canvas sits on top and takes every click — see unionOutlineAt
+              style: () => ({
+                color: perDay.stroke || '#666',
+                weight: st.weightPx ?? 4,
+                opacity: st.strokeOpacity ?? 0.9,
+                dashArray: st.dashArray || null,
+                lineJoin: 'round',
+                fill: false
+              }),
+              onEachFeature: (feat, lyr) => {
+                const p = feat.properties || {};
+                lyr._day   = Lcfg.day;
+                lyr._munis = Array.from(new Set(String(p[muniField] ?? '').split(/[,;|]/).map(s => smartTitleCase(s.trim())).filter(Boolean)))
+                  .sort((a,b)=>a.toLowerCase().localeCompare(b.toLowerCase()));
+
+                unionBoundaryFeatures.push({ type:'Feature', geometry: feat.geometry });
+                features.push(lyr);
+              }
+            });
+
+            unionDayLayers.push({ day: Lcfg.day, layer, perDay, features });
+            if (unionVisible) layer.addTo(map);
+          } catch (err) {
+            console.error('[union] load failed', Lcfg, err);
+            warn(`Perimeter load failed for ${escapeHtml(Lcfg?.day || 'day')} — check ${escapeHtml(Lcfg?.url || '(missing URL)')} (CORS / 404?).`);
+          }
+        }
+        updateDiagnostics();
+      }
+
+      // Perimeter outline under a map / zone click (within half its stroke + a few px of slack), or null.
+      // Stroke only — the outlines are unfilled, so a click inside a perimeter isn't a hit.
+      function unionOutlineAt(latlng) {
+        if (!unionVisible || !latlng) return null;
+        const p = map.latLngToContainerPoint(latlng);
+        for (const entry of unionDayLayers) {
+          const hit = entry.features.find(lyr => map.hasLayer(lyr) && strokeDistancePx(lyr, p) <= (lyr.options.weight ?? 4) / 2 + 4);
+          if (hit) return hit;
+        }
+        return null;
+      }
+      // px from container point p to the nearest edge of a polygon's rings (Infinity when far outside its bounds)
+      function strokeDistancePx(lyr, p) {
+        const b = lyr.getBounds();
+        const box = L.bounds(map.latLngToContainerPoint(b.getNorthWest()), map.latLngToContainerPoint(b.getSouthEast()));
+        if (p.x < box.min.x - 20 || p.y < box.min.y - 20 || p.x > box.max.x + 20 || p.y > box.max.y + 20) return Infinity;
+        const rings = [];
+        const walk = (lls) => { if (L.LineUtil.isFlat(lls)) rings.push(lls); else lls.forEach(walk); };
+        walk(lyr.getLatLngs());
+        let best = Infinity;
+        for (const ring of rings) {
+          const pts = ring.map(ll => map.latLngToContainerPoint(ll));
+          for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) best = Math.min(best, L.LineUtil.pointToSegmentDistance(p, pts[j], pts[i]));
+        }
+        return best;
+      }
+
+      function setUnionVisible(on) {
+        unionVisible = !!on;
+        try { localStorage.setItem(LS_KEYS.union, unionVisible ? '1' : '0'); } catch {}
+        for (const entry of unionDayLayers) {
+          if (unionVisible) entry.layer.addTo(map); else map.removeLayer(entry.layer);
+        }
+      }
+
       // NEW: reducer that trims data to the active selection (+ optional focus days)
       function reduceToSelectionContext() {
         const allowSubset = (cfgSubsetOK || subsetOK);
@@ -945,30 +3090,51 @@
           .filter(it => (it.keys && it.keys.length) && dayOK(it.day));
       }
 
-      async function applySelection() {
-        clearFocus(false);
+      async function applySelection(opts = {}) {
+        const keepView = !!opts.keepView;
+        if (!keepView) clearFocus(false);
 
         const selectedSet = new Set();
         selectedOrderedKeys = [];
         let loadedSelectionCsv = false;
 
-        if (Array.isArray(manualSelectedKeys) && manualSelectedKeys.length) {
-          manualSelectedKeys.map(normalizeKey).forEach(k => { if (!selectedSet.has(k)) { selectedSet.add(k); selectedOrderedKeys.push(k); } });
+        if (!selectionFromCsv()) {
+          (manualSelectedKeys || []).map(normalizeKey).forEach(k => { if (!selectedSet.has(k)) { selectedSet.add(k); selectedOrderedKeys.push(k); } });
         } else {
-          const selUrl = qs.get('sel') || (cfg.selection && cfg.selection.url) || '';
+          const selUrl = selectionCsvUrl();
           if (selUrl) {
-            phase('Loading selection…');
+            if (!keepView) phase('Loading selection…');
             try {
-              const rowsAA = parseCsvRows(await fetchText(selUrl));
+              const text = (typeof opts.selectionText === 'string') ? opts.selectionText : await fetchText(selUrl);
+              lastSelectionText = text;
+              const rowsAA = parseCsvRows(text);
               loadedSelectionCsv = rowsAA?.length > 0;
               const hdr = findHeaderFlexible(rowsAA, cfg.selection?.schema || { keys: 'zone keys' });
+              selectionKeyDays = new Map(); selectionDays = []; selectionDayConflicts = [];
               if (hdr) {
-                const { headerIndex, keysCol } = hdr;
+                const { headerIndex, keysCol, dayCol } = hdr;
+                const parsed = [];
                 for (let i=headerIndex+1;i<rowsAA.length;i++) {
                   const r = rowsAA[i]; if (!r?.length) continue;
+                  const day = dayCol !== -1 ? canonicalDay(r[dayCol]) : '';
                   const ks = splitKeys(r[keysCol]).map(normalizeKey);
-                  for (const k of ks) { if (!selectedSet.has(k)) { selectedSet.add(k); selectedOrderedKeys.push(k); } }
+                  if (!ks.length) continue;
+                  parsed.push({ day, keys: ks });
+                  for (const k of ks) {
+                    if (day) { if (!selectionKeyDays.has(k)) selectionKeyDays.set(k, new Set()); selectionKeyDays.get(k).add(day); }
+                    const kd = prefixDay(k);
+                    if (day && kd && kd.toLowerCase() !== day.toLowerCase()) selectionDayConflicts.push({ key: k, rowDay: day, keyDay: kd, row: i + 1 });
+                  }
+                  if (day && !selectionDays.includes(day)) selectionDays.push(day);
+                }
+                const order = (d) => { const i = keyGrammar.days.indexOf(d); return i === -1 ? 999 : i; };
+                selectionDays.sort((a, b) => order(a) - order(b));
+                const dayFilter = effectiveSelectionDay();
+                for (const row of parsed) {
+                  if (dayFilter && row.day && row.day !== dayFilter) continue; // undated rows always count
+                  for (const k of row.keys) { if (!selectedSet.has(k)) { selectedSet.add(k); selectedOrderedKeys.push(k); } }
                 }
+                reportDayConflicts();
               }
               const knownDriverNames = new Set((driverMeta||[]).map(d => String(d.name||'').toLowerCase()).filter(Boolean));
               const derivedAssign = extractAssignmentsFromCsv(rowsAA, knownDriverNames);
@@ -995,48 +3161,80 @@
           else if (isQuadrantKey(k)) quadBasesSelected.add(baseKeyFrom(k));
         }
 
-        const setFeatureVisible = (entry, lyr, visible, isSelected) => {
+        // opts.incremental (live refresh, same layers): zones whose visibility, selection and context style didn't
+        // change keep their layer, style and label untouched — focus highlight and popups survive the poll
+        const incremental = !!opts.incremental;
+        if (!incremental) revealedZones.clear(); // visibility is recomputed for every zone below
+        const restyled = new Set();
+        const setFeatureVisible = (entry, lyr, visible, isSelected, ctxStyle = 'dim') => {
           const has = entry.layer.hasLayer(lyr);
-          if (visible && !has) entry.layer.addLayer(lyr);
-          if (!visible && has) entry.layer.removeLayer(lyr);
-          lyr._isSelected = !!(visible && isSelected);
-
-          if (visible) {
-            if (isSelected) applyStyleSelected(lyr, entry.perDay, cfg);
-            else            applyStyleDim(lyr, entry.perDay, cfg);
-
-            if (isSelected) {
-              recordVisibleSelectedKey(lyr._routeKey);
-              if (lyr.getBounds) { const b = lyr.getBounds(); selectionBounds = selectionBounds ? selectionBounds.extend(b) : L.latLngBounds(b); }
-              coveragePolysSelected.push({ feat: lyr._turfFeat, perDay: entry.perDay, layerRef: lyr });
-              if (lyr._labelTxt) selectedMunicipalities.push(lyr._labelTxt);
-              showLabel(lyr, lyr._labelTxt);
-            } else {
-              hideLabel(lyr);
-            }
-          } else {
-            hideLabel(lyr);
+          if (incremental && visible) revealedZones.delete(lyr); // shown in its own right now
+          const same = incremental && (revealedZones.has(lyr) ||
+            (has === !!visible && lyr._isSelected === !!(visible && isSelected) && (!visible || isSelected || lyr._ctxStyle === ctxStyle)));
+          if (!same) {
+            restyled.add(lyr);
+            if (visible && !has) entry.layer.addLayer(lyr);
+            if (!visible && has) entry.layer.removeLayer(lyr);
+            lyr._isSelected = !!(visible && isSelected);
+            lyr._ctxStyle = ctxStyle;
+            if (visible && isSelected) { applyStyleSelected(lyr, entry.perDay, cfg); showLabel(lyr, lyr._labelTxt); }
+            else { if (visible) applyStyleUnselected(lyr, entry.perDay, cfg); hideLabel(lyr); }
+          }
+          if (visible && isSelected) {
+            recordVisibleSelectedKey(lyr._routeKey);
+            if (lyr.getBounds) { const b = lyr.getBounds(); selectionBounds = selectionBounds ? selectionBounds.extend(b) : L.latLngBounds(b); }
+            coveragePolysSelected.push({ feat: lyr._turfFeat, perDay: entry.perDay, layerRef: lyr });
+            if (lyr._labelTxt) selectedMunicipalities.push(lyr._labelTxt);
           }
         };
 
+        // Pick mode keeps the whole picking tier on the map (dimmed) so unselected polygons stay clickable
+        const pickSet = pickMode.on ? tierLayers(pickMode.tier) : null;
+
         if (noKeys) {
           info(loadedSelectionCsv ? 'No selection keys found; showing all zones.' : 'Showing all zones.');
-          for (const arr of allDaySets) for (const entry of arr) for (const lyr of entry.features) setFeatureVisible(entry, lyr, true, false);
+          for (const arr of allDaySets) for (const entry of arr) for (const lyr of entry.features) setFeatureVisible(entry, lyr, !pickSet || arr === pickSet, false);
           rebuildCoverageFromVisible();
           selectedMunicipalities = [];
-          if (cfg.behavior?.autoZoom && allBounds) map.fitBounds(allBounds.pad(0.1));
+          if (!keepView && cfg.behavior?.autoZoom && allBounds) map.fitBounds(allBounds.pad(0.1));
         } else {
-          for (const entry of baseDayLayers)  for (const lyr of entry.features) { const k=lyr._routeKey; const visible = selectedSet.has(k) && !quadBasesSelected.has(k) && !subqBasesSelected.has(k); setFeatureVisible(entry, lyr, visible, visible); }
-          for (const entry of quadDayLayers)  for (const lyr of entry.features) { const k=lyr._routeKey; const bq=basePlusQuad(k); const visible = selectedSet.has(k) && !subqQuadsSelected.has(bq); setFeatureVisible(entry, lyr, visible, visible); }
-          for (const entry of subqDayLayers)  for (const lyr of entry.features) { const k=lyr._routeKey; const visible = selectedSet.has(k); setFeatureVisible(entry, lyr, visible, visible); }
+          // unselected zones worth showing (never while picking — the picking tier already shows everything)
+          const ctxOK = pickSet ? () => false : contextFilter(selectedSet);
+          const ctxStyle = unselectedMode() === 'outline' ? 'outline' : 'dim';
+          for (const entry of baseDayLayers)  for (const lyr of entry.features) {
+            const k=lyr._routeKey; const partial = quadBasesSelected.has(k) || subqBasesSelected.has(k);
+            const visible = selectedSet.has(k) && !partial;
+            const ctx = !visible && !partial && !selectedSet.has(k) && ctxOK(lyr);
+            setFeatureVisible(entry, lyr, visible || ctx || pickSet === baseDayLayers, visible, ctxStyle);
+          }
+          for (const entry of quadDayLayers)  for (const lyr of entry.features) {
+            const k=lyr._routeKey; const bq=basePlusQuad(k);
+            const visible = selectedSet.has(k) && !subqQuadsSelected.has(bq);
+            const sibling = (quadBasesSelected.has(lyr._baseKey) || subqBasesSelected.has(lyr._baseKey)) && !selectedSet.has(k) && !subqQuadsSelected.has(bq);
+            setFeatureVisible(entry, lyr, visible || (sibling && ctxOK(lyr)) || pickSet === quadDayLayers, visible, ctxStyle);
+          }
+          for (const entry of subqDayLayers)  for (const lyr of entry.features) {
+            const k=lyr._routeKey; const visible = selectedSet.has(k);
+            const sibling = !visible && subqQuadsSelected.has(basePlusQuad(k));
+            setFeatureVisible(entry, lyr, visible || (sibling && ctxOK(lyr)) || pickSet === subqDayLayers, visible, ctxStyle);
+          }
+          // other days' context can overlap the selection; keep the selection on top
+          coveragePolysSelected.forEach(rec => { try { rec.layerRef.bringToFront(); } catch {} });
 
           rebuildCoverageFromVisible();
           selectedMunicipalities = Array.from(new Set(selectedMunicipalities)).sort((a,b)=>a.toLowerCase().localeCompare(b.toLowerCase()));
-          if (cfg.behavior?.autoZoom) { if (selectionBounds) map.fitBounds(selectionBounds.pad(0.1)); else if (allBounds) map.fitBounds(allBounds.pad(0.1)); }
+          if (!keepView && cfg.behavior?.autoZoom) { if (selectionBounds) map.fitBounds(selectionBounds.pad(0.1)); else if (allBounds) map.fitBounds(allBounds.pad(0.1)); }
           info(`Loaded ${selectedSet.size} selected key(s).`);
           if (selectedSet.size > 0 && coveragePolysSelected.length === 0) warn('Selected keys matched no polygons. Check cfg.fields.key vs GeoJSON.');
         }
 
+        // Live refresh keeps the focused polygon if it survived the rebuild (re-highlighted only if it was restyled)
+        if (keepView && currentFocus) {
+          const stillShown = allDaySets.some(arr => arr.some(e => e.layer.hasLayer(currentFocus)));
+          if (!stillShown) currentFocus = null;
+          else if (!incremental || restyled.has(currentFocus)) focusFeature(currentFocus, false);
+        }
+
         recolorAndRecountCustomers();
 
         // keys that actually resolved to visible features:
@@ -1050,23 +3248,85 @@
         updateLegend();
         setStatus(makeStatusLine(selectedMunicipalities, custWithinSel, custOutsideSel, activeKeysOrderedLower));
         await rebuildDriverOverlays();
+        if (pickMode.on) renderPicker();
+        queueOfflineTiles();
         updateDiagnostics();
 
         // NEW: mark ready after successful selection rebuild
         setStatus('Ready.');
+        emitViewerEvent('selectionchanged', selectionPayload());
+      }
+
+      // mergeDays:false → exactly one day (the chosen one, else the first); otherwise the optional filter
+      function effectiveSelectionDay() {
+        if (!selectionDays.length) return null;
+        const merge = cfg.selection?.mergeDays !== false;
+        if (selectionDayChoice && selectionDays.includes(selectionDayChoice)) return selectionDayChoice;
+        return merge ? null : selectionDays[0];
+      }
+
+      async function setSelectionDay(day) {
+        selectionDayChoice = day || null;
+        await applySelection({ selectionText: lastSelectionText ?? undefined });
+      }
+
+      function reportDayConflicts() {
+        const sig = selectionDayConflicts.map(c => `${c.key}@${c.rowDay}`).join('|');
+        if (sig === lastConflictSig) return; // refresh polls re-parse the same sheet
+        lastConflictSig = sig;
+        if (!selectionDayConflicts.length) return;
+        const sample = selectionDayConflicts.slice(0, 4).map(c => `${c.key} on a ${c.rowDay} row (row ${c.row}, prefix → ${c.keyDay})`).join('; ');
+        console.warn('[selection] key/day conflicts', selectionDayConflicts);
+        warn(`Selection CSV: ${selectionDayConflicts.length} key(s) contradict their row's day — ${escapeHtml(sample)}${selectionDayConflicts.length > 4 ? '…' : ''}`);
+      }
+
+      function unselectedMode() {
+        const m = String(qs.get('unselected') || cfg.style?.unselectedMode || 'hide').toLowerCase();
+        return ['hide', 'dim', 'outline', 'context'].includes(m) ? m : 'hide';
+      }
+
+      // lyr → show as unselected context? dim/outline: same day as something selected; context: within contextKm
+      // of a selected zone's outline (padded bbox first, then the outline buffered by contextKm).
+      function contextFilter(selectedSet) {
+        const mode = unselectedMode();
+        if (mode === 'hide') return () => false;
+        const selLayers = [];
+        for (const arr of allDaySets) for (const entry of arr) for (const lyr of entry.features) if (selectedSet.has(lyr._routeKey)) selLayers.push(lyr);
+        if (mode !== 'context') {
+          const days = new Set(selLayers.map(l => l._day));
+          return (lyr) => days.has(lyr._day);
+        }
+        const km = Math.max(0, Number(cfg.style?.contextKm ?? 3));
+        // each selected zone → its bbox padded by km (cheap pre-check) and its outline buffered by km (the real test)
+        const reach = selLayers.map(l => {
+          const b = l.getBounds(); const c = b.getCenter();
+          const dLat = km / 110.574, dLng = km / (111.320 * Math.max(0.01, Math.cos(c.lat * Math.PI / 180)));
+          const box = L.latLngBounds([b.getSouth() - dLat, b.getWest() - dLng], [b.getNorth() + dLat, b.getEast() + dLng]);
+          let area = null;
+          try { area = km > 0 ? turf.buffer(l._turfFeat, km, { units: 'kilometers' }) : l._turfFeat; } catch (err) { console.warn('[context] buffer failed', l._routeKey, err); }
+          return { box, area };
+        });
+        const near = (r, lyr) => {
+          if (!r.area) return true; // no buffer → the padded box has to do
+          try { return turf.booleanIntersects(r.area, lyr._turfFeat); } catch { return true; }
+        };
+        return (lyr) => { const b = lyr.getBounds(); return reach.some(r => r.box.intersects(b) && near(r, lyr)); };
       }
 
       function rebuildCoverageFromVisible() {
         coveragePolysAll = [];
+        coverageAllLayers = new Set();
         for (const arr of allDaySets) for (const entry of arr) for (const lyr of entry.features) {
-          if (entry.layer.hasLayer(lyr)) { coveragePolysAll.push({ feat: lyr._turfFeat, perDay: entry.perDay, layerRef: lyr }); lyr._custAny = 0; lyr._custSel = 0; }
+          if (entry.layer.hasLayer(lyr)) { coveragePolysAll.push({ feat: lyr._turfFeat, perDay: entry.perDay, layerRef: lyr }); coverageAllLayers.add(lyr); lyr._custAny = 0; lyr._custSel = 0; }
         }
       }
 
       async function loadCustomersIfAny() {
+        customersGen++;
         customerLayer.clearLayers();
         customerMarkers.length = 0;
         customerCount = 0;
+        refreshCustomerAggregates();
 
         const custCfg = cfg.customers || {};
         const forceOff = (runtimeCustEnabled === false);
@@ -1082,6 +3342,7 @@
 
         phase('Loading customers…');
         const text = await fetchText(custCfg.url);
+        lastCustomersText = text;
         const rows = parseCsvRows(text);
         if (!rows.length) { custWithinSel = custOutsideSel = 0; resetDayCounts(); updateLegend(); setStatus(makeStatusLine(selectedMunicipalities, custWithinSel, custOutsideSel, [])); renderDriversPanel(driverMeta, driverOverlays, true, driverSelectedCounts, custWithinSel); updateDiagnostics(); return; }
 
@@ -1089,23 +3350,8 @@
         const hdrIdx = findCustomerHeaderIndex(rows, custCfg.schema || { coords: 'Verified Coordinates', note: 'Order Note' });
         if (hdrIdx === -1) { warn('Customers CSV: header not found.'); custWithinSel = custOutsideSel = 0; resetDayCounts(); updateLegend(); setStatus(makeStatusLine(selectedMunicipalities, custWithinSel, custOutsideSel, [])); renderDriversPanel(driverMeta, driverOverlays, true, driverSelectedCounts, custWithinSel); updateDiagnostics(); return; }
 
-        const mapIdx = headerIndexMap(rows[hdrIdx], custCfg.schema || { coords: 'Verified Coordinates', note: 'Order Note' });
-        const s = cfg.style?.customers || {};
-        const baseStyle = { radius: s.radius || 9, color: s.stroke || '#111', weight: s.weightPx || 2, opacity: s.opacity ?? 0.95, fillColor: s.fill || '#ffffff', fillOpacity: s.fillOpacity ?? 0.95 };
-
-        let added = 0;
-        for (let i = hdrIdx + 1; i < rows.length; i++) {
-          const r = rows[i]; if (!r?.length) continue;
-          const coord = (mapIdx.coords !== -1) ? r[mapIdx.coords] : '';
-          const note  = (mapIdx.note   !== -1) ? r[mapIdx.note]   : '';
-          const ll = parseLatLng(coord); if (!ll) continue;
-          const m = L.circleMarker([ll.lat, ll.lng], baseStyle).addTo(customerLayer);
-          const popupHtml = note ? `<div style="max-width:260px">${escapeHtml(note)}</div>` : `<div>${ll.lat.toFixed(6)}, ${ll.lng.toFixed(6)}</div>`;
-          m.bindPopup(popupHtml, { autoClose: true, closeOnClick: true });
-          customerMarkers.push({ marker: m, lat: ll.lat, lng: ll.lng, visible: true });
-          added++;
-        }
-        customerCount = added; info(`Loaded ${customerCount} customers.`);
+        for (const c of customerRecordsFromRows(rows, hdrIdx)) addCustomerMarker(c);
+        customerCount = customerMarkers.length; info(`Loaded ${customerCount} customers.`);
 
         if (!(window.turf && turf.booleanPointInPolygon)) { try { await ensureLibs(); } catch {} }
         recolorAndRecountCustomers();
@@ -1117,7 +3363,81 @@
         updateDiagnostics();
       }
 
-      function resetDayCounts(){ custByDayInSel.Wednesday=0; custByDayInSel.Thursday=0; custByDayInSel.Friday=0; custByDayInSel.Saturday=0; }
+      function customerRecordsFromRows(rows, hdrIdx) {
+        const custCfg = cfg.customers || {};
+        const mapIdx = headerIndexMap(rows[hdrIdx], custCfg.schema || { coords: 'Verified Coordinates', note: 'Order Note' });
+        const out = [];
+        for (let i = hdrIdx + 1; i < rows.length; i++) {
+          const r = rows[i]; if (!r?.length) continue;
+          const coord = (mapIdx.coords !== -1) ? r[mapIdx.coords] : '';
+          const note  = (mapIdx.note   !== -1) ? r[mapIdx.note]   : '';
+          const ll = parseLatLng(coord); if (!ll) continue;
+          const fields = {};
+          Object.entries(mapIdx.fields).forEach(([f, i]) => { fields[f] = i !== -1 ? String(r[i] ?? '').trim() : ''; });
+          // field values are part of the id so a status / box change on refresh swaps the marker
+          const fv = Object.values(fields).join('|');
+          out.push({ id: `${ll.lat},${ll.lng}|${note}${fv ? '|' + fv : ''}`, lat: ll.lat, lng: ll.lng, note, fields });
+        }
+        return out;
+      }
+
+      function addCustomerMarker(c) {
+        const s = cfg.style?.customers || {};
+        const baseStyle = { radius: s.radius || 9, color: s.stroke || '#111', weight: s.weightPx || 2, opacity: s.opacity ?? 0.95, fillColor: s.fill || '#ffffff', fillOpacity: s.fillOpacity ?? 0.95 };
+        const m = L.circleMarker([c.lat, c.lng], baseStyle).addTo(customerLayer);
+        const headers = customerFieldSchema(cfg.customers?.schema);
+        const fieldRows = Object.entries(c.fields || {}).filter(([, v]) => v)
+          .map(([f, v]) => `<tr><th style="text-align:left;padding-right:8px;font-weight:600">${escapeHtml(headers[f] || f)}</th><td>${escapeHtml(v)}</td></tr>`).join('');
+        const noteHtml = c.note ? `<div>${escapeHtml(c.note)}</div>` : (fieldRows ? '' : `<div>${c.lat.toFixed(6)}, ${c.lng.toFixed(6)}</div>`);
+        const popupHtml = `<div style="max-width:260px">${fieldRows ? `<table style="font-size:12px;margin-bottom:${c.note ? 4 : 0}px">${fieldRows}</table>` : ''}${noteHtml}</div>`;
+        m.bindPopup(popupHtml, { autoClose: true, closeOnClick: true });
+        const rec = { id: c.id, marker: m, lat: c.lat, lng: c.lng, note: c.note, fields: c.fields || {}, visible: true, filteredOut: false };
+        customerMarkers.push(rec);
+        return rec;
+      }
+
+      // ---------- Customer fields: colour / shape / filter ----------
+      const FIELD_PALETTE = ['#1b9e77', '#d95f02', '#7570b3', '#e7298a', '#66a61e', '#e6ab02', '#a6761d', '#1f78b4', '#666666'];
+
+      function customerFieldValues(field) {
+        const seen = new Map(); // lower → first spelling
+        for (const rec of customerMarkers) {
+          const v = String(rec.fields?.[field] || '').trim();
+          if (v && !seen.has(v.toLowerCase())) seen.set(v.toLowerCase(), v);
+        }
+        return Array.from(seen.values()).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+      }
+
+      // null → markers keep the zone-day colours; otherwise value → fill (cfg colours first, palette for the rest)
+      function customerColorScale() {
+        if (!custColorBy) return null;
+        const given = {};
+        Object.entries(cfg.style?.customers?.colorBy?.values || {}).forEach(([k, c]) => { given[k.toLowerCase()] = c; });
+        const auto = new Map(customerFieldValues(custColorBy).filter(v => !given[v.toLowerCase()]).map((v, i) => [v.toLowerCase(), FIELD_PALETTE[i % FIELD_PALETTE.length]]));
+        return (v) => { const k = String(v || '').toLowerCase(); return given[k] || auto.get(k) || '#ffffff'; };
+      }
+
+      // cfg.style.customers.shapeBy = { field, values: { Unpaid: 'ring', … } } — circle | ring | dot | dashed
+      function customerShape(rec, style) {
+        const sb = cfg.style?.customers?.shapeBy;
+        if (!sb?.field) return style;
+        const v = String(rec.fields?.[sb.field] || '').toLowerCase();
+        const hit = Object.entries(sb.values || {}).find(([k]) => k.toLowerCase() === v);
+        const shape = hit ? hit[1] : 'circle';
+        if (shape === 'ring') return { ...style, fillOpacity: 0, weight: (style.weight || 2) + 1, radius: style.radius };
+        if (shape === 'dot') return { ...style, radius: Math.max(3, Math.round((style.radius || 9) * 0.55)) };
+        if (shape === 'dashed') return { ...style, dashArray: '3 3', fillOpacity: (style.fillOpacity ?? 0.95) * 0.5 };
+        return { ...style, dashArray: null };
+      }
+
+      // Filterable = configured list, else every mapped field with 2–20 distinct values
+      function customerFilterFields() {
+        const fields = Object.keys(customerFieldSchema(cfg.customers?.schema));
+        const wanted = Array.isArray(cfg.customers?.filterFields) ? cfg.customers.filterFields.filter(f => fields.includes(f)) : null;
+        return (wanted || fields).filter(f => { const n = customerFieldValues(f).length; return wanted ? n > 0 : (n >= 2 && n <= 20); });
+      }
+
+      function resetDayCounts(){ Object.keys(custByDayInSel).forEach(d => { delete custByDayInSel[d]; }); keyGrammar.days.forEach(d => { custByDayInSel[d] = 0; }); }
 
       function recolorAndRecountCustomers() {
         let inSel = 0, outSel = 0;
@@ -1131,21 +3451,32 @@
           : { radius: (cst.radius || 9), color: '#7a7a7a', weight: (cst.weightPx || 2), opacity: 0.8,  fillColor: '#c7c7c7', fillOpacity: 0.6 };
 
         const onlySelectedCustomers = manualMode && (currentIndex >= 0) && !outsideHighlight;
+        const filters = Object.entries(custFilter).filter(([, v]) => v);
+        const colorOf = customerColorScale();
 
         for (const rec of customerMarkers) {
             let show = true, style = { ...outStyle }, insideSel = false, selDay = null;
+            rec.anyLyr = null; rec.selLyr = null;
+
+            // legend filter: hidden and left out of every count below
+            rec.filteredOut = filters.some(([f, v]) => String(rec.fields?.[f] || '').toLowerCase() !== v.toLowerCase());
+            if (rec.filteredOut) {
+              if (rec.visible) { customerLayer.removeLayer(rec.marker); rec.visible = false; }
+              continue;
+            }
 
             if (turfOn) {
-              const pt = turf.point([rec.lng, rec.lat]);
-              for (let j = 0; j < coveragePolysAll.length; j++) {
-                if (turf.booleanPointInPolygon(pt, coveragePolysAll[j].feat)) { const lyr = coveragePolysAll[j].layerRef; if (lyr) lyr._custAny += 1; break; }
+              // hits are every loaded zone containing the point, in coverage order; only visibility/selection is re-evaluated here
+              const hits = customerHits(rec);
+              for (const lyr of hits) {
+                if (coverageAllLayers.has(lyr)) { lyr._custAny += 1; rec.anyLyr = lyr; break; }
               }
-              for (let k = 0; k < coveragePolysSelected.length; k++) {
-                if (turf.booleanPointInPolygon(pt, coveragePolysSelected[k].feat)) {
-                  insideSel = true; selDay = (coveragePolysSelected[k].feat.properties.day || '').trim();
-                  const pd = coveragePolysSelected[k].perDay || {};
+              for (const lyr of hits) {
+                if (lyr._isSelected) {
+                  insideSel = true; selDay = (lyr._day || '').trim();
+                  const pd = lyr._perDay || {};
                   style = { radius:(cst.radius||9), color: pd.stroke || (cst.stroke || '#111'), weight:(cst.weightPx||2), opacity:(cst.opacity ?? 0.95), fillColor: pd.fill || (cst.fill || '#ffffff'), fillOpacity:(cst.fillOpacity ?? 0.95) };
-                  const lyr = coveragePolysSelected[k].layerRef; if (lyr) lyr._custSel += 1; break;
+                  lyr._custSel += 1; rec.selLyr = lyr; break;
                 }
               }
             }
@@ -1158,21 +3489,244 @@
             if (show && !rec.visible) { customerLayer.addLayer(rec.marker); rec.visible = true; }
             else if (!show && rec.visible) { customerLayer.removeLayer(rec.marker); rec.visible = false; }
 
-            if (show) rec.marker.setStyle(style);
+            if (show) {
+              if (colorOf) style.fillColor = colorOf(rec.fields?.[custColorBy]);
+              rec.marker.setStyle(customerShape(rec, style));
+            }
         }
 
         custWithinSel = inSel; custOutsideSel = outSel;
         driverSelectedCounts = computeDriverCounts();
         renderDriversPanel(driverMeta, driverOverlays, true, driverSelectedCounts, custWithinSel);
         updateLegend();
+        refreshCustomerAggregates();
+        if (sequence.on) updateSequence();
+      }
+
+      function customerHits(rec) {
+        if (rec.hits) return rec.hits;
+        const pt = turf.point([rec.lng, rec.lat]);
+        rec.hits = zoneIndex.query(rec.lng, rec.lat)
+          .filter(lyr => turf.booleanPointInPolygon(pt, lyr._turfFeat))
+          .sort((a, b) => a._ord - b._ord);
+        return rec.hits;
+      }
+
+      // ---------- Customer clustering + density heatmap ----------
+      function clusterSettings(){
+        const c = cfg.customers?.cluster || {};
+        return { maxZoom: c.maxZoom ?? 13, radiusPx: c.radiusPx ?? 60, minMarkers: c.minMarkers ?? 150 };
+      }
+
+      // Re-run after every recolor and zoom: clusters only hold what recolorAndRecountCustomers() left visible,
+      // and they never mix in-selection days with each other or with outside customers.
+      function refreshCustomerAggregates(){
+        refreshCustomerClusters();
+        if (heatLayer && map.hasLayer(heatLayer)) heatLayer.redraw();
+      }
+
+      function refreshCustomerClusters(){
+        clusterLayer.clearLayers();
+        const { maxZoom, radiusPx, minMarkers } = clusterSettings();
+        const visible = customerMarkers.filter(r => r.visible);
+        const z = map.getZoom();
+        if (!clusterOn || z >= maxZoom || visible.length < minMarkers) {
+          if (!map.hasLayer(customerLayer)) customerLayer.addTo(map);
+          return;
+        }
+        if (map.hasLayer(customerLayer)) map.removeLayer(customerLayer);
+
+        const cells = new Map();
+        for (const rec of visible) {
+          const day = rec.selLyr ? (rec.selLyr._day || '') : null;
+          const p = map.project([rec.lat, rec.lng], z);
+          const id = `${day ?? '\u0000out'}|${Math.floor(p.x / radiusPx)}|${Math.floor(p.y / radiusPx)}`;
+          if (!cells.has(id)) cells.set(id, { day, recs: [] });
+          cells.get(id).recs.push(rec);
+        }
+
+        const cst = cfg.style?.customers || {};
+        const outside = outsideHighlight ? { fill: '#ffcdd2', stroke: '#d32f2f' } : { fill: cst.outside?.fill || '#c7c7c7', stroke: cst.outside?.stroke || '#7a7a7a' };
+        cells.forEach(({ day, recs }) => {
+          if (recs.length === 1) { clusterLayer.addLayer(recs[0].marker); return; }
+          const pd = day != null ? (cfg.style?.perDay?.[day] || {}) : null;
+          const fill = pd ? (pd.fill || cst.fill || '#ffffff') : outside.fill;
+          const stroke = pd ? (pd.stroke || cst.stroke || '#111') : outside.stroke;
+          const lat = recs.reduce((a, r) => a + r.lat, 0) / recs.length;
+          const lng = recs.reduce((a, r) => a + r.lng, 0) / recs.length;
+          const sz = 24 + Math.min(24, Math.round(Math.log10(recs.length) * 10));
+          const icon = L.divIcon({
+            className: 'cust-cluster',
+            html: `<div style="width:${sz}px;height:${sz}px;line-height:${sz - 6}px;background:${fill};border-color:${stroke}">${recs.length}</div>`,
+            iconSize: [sz, sz]
+          });
+          const m = L.marker([lat, lng], { icon, keyboard: false, title: `${recs.length} customers • ${day != null ? day : 'outside selection'}` });
+          m._badge = { count: recs.length, fill, stroke, sz };
+          m.on('click', (e) => {
+            L.DomEvent.stopPropagation(e);
+            map.fitBounds(L.latLngBounds(recs.map(r => [r.lat, r.lng])).pad(0.2), { maxZoom });
+          });
+          clusterLayer.addLayer(m);
+        });
+      }
+
+      // captures leave the cluster divIcons out (see withoutDivIconMarkers); redraw them as the CSS does
+      // (offsets in CSS px; k = canvas pixels per CSS px)
+      function drawClustersOntoCanvas(canvas, offsetX, offsetY, k = 1){
+        if (!map.hasLayer(clusterLayer)) return;
+        const ctx = canvas.getContext('2d');
+        clusterLayer.eachLayer(m => {
+          const b = m._badge; if (!b) return;
+          const p = map.latLngToContainerPoint(m.getLatLng());
+          const x = (p.x + offsetX) * k, y = (p.y + offsetY) * k, r = (b.sz / 2) * k;
+          if (x < -r || y < -r || x > canvas.width + r || y > canvas.height + r) return;
+          ctx.save();
+          ctx.shadowColor = 'rgba(0,0,0,.35)'; ctx.shadowBlur = 5 * k; ctx.shadowOffsetY = k;
+          ctx.beginPath(); ctx.arc(x, y, r - 1.5 * k, 0, Math.PI * 2);
+          ctx.fillStyle = b.fill; ctx.fill();
+          ctx.shadowColor = 'transparent';
+          ctx.lineWidth = 3 * k; ctx.strokeStyle = b.stroke; ctx.stroke();
+          ctx.fillStyle = '#111'; ctx.font = `700 ${12 * k}px system-ui, sans-serif`; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+          ctx.fillText(String(b.count), x, y + 0.5 * k);
+          ctx.restore();
+        });
+      }
+
+      function setClusterOn(on){
+        clusterOn = !!on;
+        try { localStorage.setItem(LS_KEYS.cluster, clusterOn ? '1' : '0'); } catch {}
+        refreshCustomerClusters();
+      }
+
+      function setHeatOn(on){
+        heatOn = !!on;
+        try { localStorage.setItem(LS_KEYS.heat, heatOn ? '1' : '0'); } catch {}
+        if (heatOn) { heatLayer = heatLayer || createHeatLayer(); heatLayer.addTo(map); }
+        else if (heatLayer) map.removeLayer(heatLayer);
+      }
+
+      // Canvas density layer: one soft alpha stamp per visible customer, then each pixel's alpha is mapped through
+      // a colour ramp (cfg.customers.heatmap.gradient). Redrawn on move; hidden during zoom animation.
+      function createHeatLayer(){
+        const hs = cfg.customers?.heatmap || {};
+        const radius = hs.radiusPx ?? 18, blur = hs.blurPx ?? 14, pointAlpha = hs.pointAlpha ?? 0.12;
+        const gradient = hs.gradient || { 0.35: '#2c7bb6', 0.55: '#00a6ca', 0.7: '#90eb9d', 0.85: '#f9d057', 1: '#d7191c' };
+
+        const stamp = document.createElement('canvas');
+        const R = radius + blur;
+        stamp.width = stamp.height = R * 2;
+        const sctx = stamp.getContext('2d');
+        const rg = sctx.createRadialGradient(R, R, radius * 0.25, R, R, R);
+        rg.addColorStop(0, 'rgba(0,0,0,1)'); rg.addColorStop(1, 'rgba(0,0,0,0)');
+        sctx.fillStyle = rg; sctx.fillRect(0, 0, R * 2, R * 2);
+
+        const ramp = document.createElement('canvas');
+        ramp.width = 256; ramp.height = 1;
+        const rctx = ramp.getContext('2d');
+        const lg = rctx.createLinearGradient(0, 0, 256, 0);
+        Object.entries(gradient).forEach(([stop, col]) => lg.addColorStop(Math.max(0, Math.min(1, +stop)), col));
+        rctx.fillStyle = lg; rctx.fillRect(0, 0, 256, 1);
+        const palette = rctx.getImageData(0, 0, 256, 1).data;
+
+        const Heat = L.Layer.extend({
+          onAdd(m) {
+            this._canvas = L.DomUtil.create('canvas', 'cust-heat leaflet-zoom-hide');
+            this._canvas.style.opacity = String(hs.opacity ?? 0.75);
+            m.getPanes().overlayPane.appendChild(this._canvas);
+            m.on('moveend resize', this.redraw, this);
+            this.redraw();
+          },
+          onRemove(m) {
+            m.off('moveend resize', this.redraw, this);
+            L.DomUtil.remove(this._canvas);
+            this._canvas = null;
+          },
+          redraw() {
+            const m = this._map, c = this._canvas; if (!m || !c) return;
+            const size = m.getSize();
+            c.width = size.x; c.height = size.y;
+            L.DomUtil.setPosition(c, m.containerPointToLayerPoint([0, 0]));
+            const ctx = c.getContext('2d');
+            ctx.globalAlpha = pointAlpha;
+            for (const rec of customerMarkers) {
+              if (!rec.visible) continue;
+              const p = m.latLngToContainerPoint([rec.lat, rec.lng]);
+              if (p.x < -R || p.y < -R || p.x > size.x + R || p.y > size.y + R) continue;
+              ctx.drawImage(stamp, p.x - R, p.y - R);
+            }
+            if (!size.x || !size.y) return;
+            const img = ctx.getImageData(0, 0, size.x, size.y), px = img.data;
+            for (let i = 3; i < px.length; i += 4) {
+              const a = px[i]; if (!a) continue;
+              const j = a * 4;
+              px[i - 3] = palette[j]; px[i - 2] = palette[j + 1]; px[i - 1] = palette[j + 2];
+            }
+            ctx.putImageData(img, 0, 0);
+          }
+        });
+        return new Heat();
+      }
+
+      // ---------- Customer → driver attribution export ----------
+      function buildAttributionRows() {
+        return customerMarkers.filter(rec => !rec.filteredOut).map(rec => {
+          const lyr = rec.selLyr || rec.anyLyr || (rec.hits && rec.hits[0]) || null;
+          const key = lyr ? lyr._routeKey : '';
+          return {
+            lat: rec.lat,
+            lng: rec.lng,
+            note: rec.note || '',
+            zoneKey: key,
+            baseKey: key ? baseKeyFrom(key) : '',
+            tier: key ? keyTier(key) : '',
+            day: lyr ? (lyr._day || '') : '',
+            municipality: lyr ? (lyr._labelTxt || '') : '',
+            driver: (key && lookupDriverForKey(key)) || '',
+            outsideSelection: !rec.selLyr,
+            ...customerFieldColumns(rec)
+          };
+        });
+      }
+
+      // schema fields go out prefixed (custDay, custBox…) so they can't shadow the zone-derived columns
+      function customerFieldColumns(rec) {
+        const out = {};
+        Object.keys(customerFieldSchema(cfg.customers?.schema)).forEach(f => { out[`cust${f.charAt(0).toUpperCase()}${f.slice(1)}`] = rec.fields?.[f] || ''; });
+        return out;
+      }
+
+      function exportAttribution(format) {
+        if (!customerMarkers.length) { warn('No customers loaded — nothing to export.'); return; }
+        const rows = buildAttributionRows();
+        const it = (currentIndex >= 0 && currentIndex < batchItems.length) ? batchItems[currentIndex] : null;
+        const stem = it ? `${safeName(it.driver)}_${safeName(it.day)}_customers` : 'customers_selection';
+
+        if (format === 'geojson') {
+          const fc = {
+            type: 'FeatureCollection',
+            features: rows.map(r => {
+              const { lat, lng, ...props } = r;
+              return { type: 'Feature', geometry: { type: 'Point', coordinates: [lng, lat] }, properties: props };
+            })
+          };
+          downloadText(JSON.stringify(fc, null, 2), `${stem}.geojson`, 'application/geo+json');
+        } else {
+          const fieldCols = Object.keys(customerFieldColumns({ fields: {} }));
+          const cols = ['lat','lng','note','zoneKey','baseKey','tier','day','municipality','driver','outsideSelection', ...fieldCols];
+          const out = [cols].concat(rows.map(r => cols.map(c => c === 'outsideSelection' ? (r[c] ? '1' : '0') : r[c])));
+          downloadText(toCsv(out), `${stem}.csv`, 'text/csv;charset=utf-8');
+        }
+        info(`Exported ${rows.length} customer row(s) as ${format === 'geojson' ? 'GeoJSON' : 'CSV'}.`);
       }
 
-      function computeDriverCounts() {
+      // byDay → keys are "driver|day" (lower-cased) so the workload table can split a driver across days
+      function computeDriverCounts(byDay = false) {
         const out = {};
         for (const rec of coveragePolysSelected) {
           const lyr = rec.layerRef; if (!lyr) continue;
           const drv = lookupDriverForKey(lyr._routeKey); if (!drv) continue;
-          out[drv] = (out[drv] || 0) + (lyr._custSel || 0);
+          const id = byDay ? `${String(drv).toLowerCase()}|${String(lyr._day || '').toLowerCase()}` : drv;
+          out[id] = (out[id] || 0) + (lyr._custSel || 0);
         }
         return out;
       }
@@ -1217,7 +3771,12 @@
           } catch {}
 
           try { outline.bringToFront(); } catch {}
-          driverOverlays[name] = { group, color, labelMarker };
+          const areaKm2ByDay = {};
+          if (window.turf) features.forEach(f => {
+            const d = String(f.properties?.day || '').toLowerCase();
+            try { areaKm2ByDay[d] = (areaKm2ByDay[d] || 0) + turf.area(f) / 1e6; } catch {}
+          });
+          driverOverlays[name] = { group, color, labelMarker, areaKm2ByDay };
         });
 
         renderDriversPanel(driverMeta, driverOverlays, true, driverSelectedCounts, custWithinSel);
@@ -1226,12 +3785,21 @@
       function lookupDriverForKey(key) {
         if (!key) return null;
         if (activeAssignMap[key]) return activeAssignMap[key];
-        const m = String(key).match(/^([WTFS]\d+)/);
+        const m = String(key).toUpperCase().match(keyGrammar.baseRe);
         if (m && activeAssignMap[m[1]]) return activeAssignMap[m[1]];
         return null;
       }
 
       // ---------- Popups/focus ----------
+      function openUnionPopup(lyr, latlng) {
+        const munis = lyr._munis || [];
+        const list = munis.length ? munis.map(escapeHtml).join(', ') : '—';
+        const html = `<div style="max-width:280px"><strong>${escapeHtml(lyr._day || '')} perimeter</strong><br>` +
+                     `<span style="opacity:.8">${munis.length} municipalit${munis.length === 1 ? 'y' : 'ies'}</span><br>${list}</div>`;
+        const at = latlng || lyr.getBounds?.().getCenter?.();
+        if (at) L.popup({autoClose:true, closeOnClick:true}).setLatLng(at).setContent(html).openOn(map);
+      }
+
       function openPolygonPopup(lyr) {
         const muni = lyr._labelTxt || 'Municipality';
         const totalAny = Number(lyr._custAny || 0);
@@ -1243,8 +3811,9 @@
         if (center) L.popup({autoClose:true, closeOnClick:true}).setLatLng(center).setContent(html).openOn(map);
       }
 
-      function focusFeature(lyr) {
+      function focusFeature(lyr, fit = true) {
         if (currentFocus && currentFocus !== lyr) restoreFeature(currentFocus);
+        hideRevealedZones(lyr);
         currentFocus = lyr;
 
         const perDay = lyr._perDay || {};
@@ -1255,6 +3824,7 @@
           color: perDay.stroke || '#666',
           weight: hiWeight,
           opacity: 1.0,
+          fill: true,
           fillColor: perDay.fill || '#ccc',
           fillOpacity: lyr._isSelected ? (perDay.fillOpacity ?? 0.8) : dimFill(perDay, cfg)
         });
@@ -1262,18 +3832,27 @@
         showLabel(lyr, lyr._labelTxt);
         lyr.bringToFront?.();
 
-        const b = lyr.getBounds?.();
+        const b = fit ? lyr.getBounds?.() : null;
         if (b) map.fitBounds(b.pad(0.2));
       }
       function restoreFeature(lyr) {
         const perDay = lyr._perDay || {};
         if (lyr._isSelected) { applyStyleSelected(lyr, perDay, cfg); showLabel(lyr, lyr._labelTxt); }
-        else { applyStyleDim(lyr, perDay, cfg); hideLabel(lyr); }
+        else { applyStyleUnselected(lyr, perDay, cfg); hideLabel(lyr); }
+      }
+      // search hits revealed as context go back into hiding once focus moves on
+      function hideRevealedZones(keep) {
+        revealedZones.forEach((entry, lyr) => {
+          if (lyr === keep) return;
+          entry.layer.removeLayer(lyr);
+          revealedZones.delete(lyr);
+        });
       }
       function clearFocus(recenter) {
-        if (!currentFocus) { if (recenter && hasSelection && selectionBounds) map.fitBounds(selectionBounds.pad(0.1)); return; }
+        if (!currentFocus) { hideRevealedZones(revealPending); if (recenter && hasSelection && selectionBounds) map.fitBounds(selectionBounds.pad(0.1)); return; }
         restoreFeature(currentFocus);
         currentFocus = null;
+        hideRevealedZones(revealPending);
         if (recenter) {
           if (hasSelection && selectionBounds) map.fitBounds(selectionBounds.pad(0.1));
           else if (allBounds) map.fitBounds(allBounds.pad(0.1));
@@ -1284,6 +3863,7 @@
           color: perDay.stroke || '#666',
           weight: cfg.style?.selected?.weightPx ?? 2,
           opacity: cfg.style?.selected?.strokeOpacity ?? 1.0,
+          fill: true,
           fillColor: perDay.fill || '#ccc',
           fillOpacity: perDay.fillOpacity ?? 0.8
         });
@@ -1293,10 +3873,23 @@
           color: perDay.stroke || '#666',
           weight: cfg.style?.dimmed?.weightPx ?? 1,
           opacity: cfg.style?.dimmed?.strokeOpacity ?? 0.35,
+          fill: true,
           fillColor: perDay.fill || '#ccc',
           fillOpacity: dimFill(perDay, cfg)
         });
       }
+      function applyStyleOutline(lyr, perDay, cfg) {
+        lyr.setStyle({
+          color: perDay.stroke || '#666',
+          weight: cfg.style?.outline?.weightPx ?? 1.5,
+          opacity: cfg.style?.outline?.strokeOpacity ?? 0.7,
+          fill: false
+        });
+      }
+      function applyStyleUnselected(lyr, perDay, cfg) {
+        if (lyr._ctxStyle === 'outline') applyStyleOutline(lyr, perDay, cfg);
+        else applyStyleDim(lyr, perDay, cfg);
+      }
 
       // ---------- Drivers & Legend ----------
       function renderDriversPanel(metaList, overlays, defaultOn=false, countsMap={}, totalSelected=0) {
@@ -1306,9 +3899,16 @@
         const overlayDrivers = Object.keys(overlays || {});
         const haveOverlays = overlayDrivers.length > 0;
 
-        const allDriverNames = haveOverlays
+        let allDriverNames = haveOverlays
           ? overlayDrivers
           : Array.from(new Set(Object.values(activeAssignMap))).sort((a,b)=>a.toLowerCase().localeCompare(b.toLowerCase()));
+        if (assignEdit.on) {
+          // editing: every known driver is a valid target, even with no zones in this selection
+          const seen = new Set(allDriverNames.map(n => n.toLowerCase()));
+          [...(metaList || []).map(d => d.name), ...Object.values(activeAssignMap)].forEach(n => {
+            if (n && !seen.has(String(n).toLowerCase())) { seen.add(String(n).toLowerCase()); allDriverNames.push(n); }
+          });
+        }
 
         const orderIndex = new Map((metaList||[]).map((d,i)=>[String(d.name||'').toLowerCase(), i]));
         allDriverNames.sort((a,b)=>{
@@ -1323,10 +3923,15 @@
           const col = meta.color || '#888';
           const safe = escapeHtml(name || '');
           const isPresent = !!overlays?.[name];
-          const onAttr = isPresent && defaultOn ? 'checked' : '';
+          const onAttr = isPresent && defaultOn && !driversToggledOff.has(name.toLowerCase()) ? 'checked' : '';
           const count = typeof countsMap[name] === 'number' ? countsMap[name] : 0;
           const frac = `${count}/${totalSelected || 0}`;
-          return `<div class="row" style="display:flex;align-items:center;gap:8px;margin:4px 0">
+          const armed = assignEdit.on && assignEdit.driver === name;
+          const arm = assignEdit.on
+            ? `<input type="radio" name="assignDriver" data-arm="${safe}" aria-label="Assign zones to ${safe}" ${armed ? 'checked' : ''}>`
+            : '';
+          return `<div class="row${armed ? ' armed' : ''}" style="display:flex;align-items:center;gap:8px;margin:4px 0">
+            ${arm}
             <input type="checkbox" data-driver="${safe}" aria-label="Toggle ${safe}" ${onAttr} ${isPresent ? '' : 'disabled'}>
             <span class="swatch" style="width:16px;height:16px;border-radius:3px;border:2px solid ${col};background:${col};box-sizing:border-box"></span>
             <div>${safe}</div>
@@ -1334,13 +3939,52 @@
           </div>`;
         }).join('');
 
-        el.innerHTML = `<h4 style="margin:0 0 6px 0;font-size:14px">Drivers</h4>${rows}`;
+        const editBtn = `<button type="button" id="assignToggle" style="float:right" aria-pressed="${assignEdit.on}">${assignEdit.on ? 'Done' : 'Edit'}</button>`;
+        const changed = assignEdit.on ? changedAssignKeys().length : 0;
+        const editor = assignEdit.on ? `<div class="assign-editor">
+            <div class="row" style="display:flex;gap:6px;align-items:center">
+              <input type="text" id="assignNewDriver" placeholder="Add driver…" style="flex:1;min-width:0">
+              <button type="button" id="assignAdd">Add</button>
+            </div>
+            <div class="note">${assignEdit.driver ? `Click a zone or <b>Shift+drag</b> to lasso → <b>${escapeHtml(assignEdit.driver)}</b>` : 'Pick a driver (radio) to start assigning.'}</div>
+            <div class="row" style="display:flex;gap:6px;align-items:center">
+              <span class="note">${changed} change(s)</span>
+              <button type="button" data-assign-export="json" style="margin-left:auto">JSON</button>
+              <button type="button" data-assign-export="csv">CSV</button>
+              <button type="button" id="assignRevert" ${changed ? '' : 'disabled'}>Revert</button>
+            </div>
+          </div>` : '';
+        el.innerHTML = `<h4 style="margin:0 0 6px 0;font-size:14px">Drivers${editBtn}</h4>${rows}${editor}`;
+
+        el.querySelector('#assignToggle')?.addEventListener('click', () => setAssignMode(!assignEdit.on));
+        el.querySelectorAll('input[name="assignDriver"]').forEach(r => r.addEventListener('change', () => {
+          assignEdit.driver = r.getAttribute('data-arm');
+          renderDriversPanel(driverMeta, driverOverlays, true, driverSelectedCounts, custWithinSel);
+        }));
+        el.querySelector('#assignAdd')?.addEventListener('click', () => {
+          const nm = (el.querySelector('#assignNewDriver')?.value || '').trim();
+          if (!nm) return;
+          driverMeta = ensureDriverMeta(driverMeta, [nm]);
+          assignEdit.driver = nm;
+          renderDriversPanel(driverMeta, driverOverlays, true, driverSelectedCounts, custWithinSel);
+        });
+        el.querySelectorAll('button[data-assign-export]').forEach(b => b.addEventListener('click', () => exportAssignMap(b.getAttribute('data-assign-export'))));
+        el.querySelector('#assignRevert')?.addEventListener('click', async () => {
+          activeAssignMap = { ...(assignEdit.baseline || {}) };
+          driverSelectedCounts = computeDriverCounts();
+          await rebuildDriverOverlays();
+        });
         el.querySelectorAll('input[type="checkbox"]').forEach(cb => {
           const name = cb.getAttribute('data-driver');
           if (!overlays?.[name]) return;
           toggleDriverOverlay(name, !!cb.checked);
-          cb.addEventListener('change', (e) => toggleDriverOverlay(name, e.target.checked));
+          cb.addEventListener('change', (e) => {
+            if (e.target.checked) driversToggledOff.delete(name.toLowerCase()); else driversToggledOff.add(name.toLowerCase());
+            toggleDriverOverlay(name, e.target.checked);
+          });
         });
+        // counts/overlays just changed — keep the workload table in step
+        if (workloadOn) renderWorkload();
       }
       function toggleDriverOverlay(name, on) { const rec = driverOverlays[name]; if (!rec) return; if (on) { rec.group.addTo(map); try { rec.labelMarker?.openTooltip(); } catch{} } else { map.removeLayer(rec.group); } }
 
@@ -1348,13 +3992,13 @@
         const el = document.getElementById('legend'); if (!el) return;
         // Gate 0/0 display until features are known
         const totalKnown = Array.isArray(cfg.layers) && cfg.layers.length && totalFeatureCount() > 0;
-        const rowsHtml = (cfg.layers || []).map(Lcfg => {
-          const st = (cfg.style?.perDay?.[Lcfg.day]) || {};
-          const c  = (legendCounts && legendCounts[Lcfg.day]) ? legendCounts[Lcfg.day] : { selected: 0, total: 0 };
+        const rowsHtml = keyGrammar.days.map(day => {
+          const st = (cfg.style?.perDay?.[day]) || {};
+          const c  = (legendCounts && legendCounts[day]) ? legendCounts[day] : { selected: 0, total: 0 };
           const frac = totalKnown ? `${c.selected}/${c.total}` : '—';
           return `<div class="row" style="display:flex;align-items:center;gap:8px;margin:4px 0">
-            <span class="swatch" style="width:16px;height:16px;border-radius:3px;border:2px solid ${st.stroke};background:${st.fill};box-sizing:border-box"></span>
-            <div>${Lcfg.day}</div>
+            <span class="swatch" style="width:16px;height:16px;border-radius:3px;border:2px solid ${st.stroke || '#888'};background:${st.fill || '#ccc'};box-sizing:border-box"></span>
+            <div>${escapeHtml(day)}</div>
             <div class="counts" style="margin-left:auto;opacity:.8;font-variant-numeric:tabular-nums">${frac}</div>
           </div>`;
         }).join('');
@@ -1368,7 +4012,59 @@
             <input type="checkbox" id="toggleOutside" ${outsideToggle ? 'checked' : ''} aria-label="Highlight outside customers">
             <div>Highlight outside customers</div>
           </div>`;
-        el.innerHTML = `<h4 style="margin:0 0 6px 0;font-size:14px">Layers</h4>${rowsHtml}${custBlock}${toggle}`;
+        const headers = customerFieldSchema(cfg.customers?.schema);
+        const filterFields = customerMarkers.length ? customerFilterFields() : [];
+        const opt = (v, lbl, sel) => `<option value="${escapeHtml(v)}"${sel ? ' selected' : ''}>${escapeHtml(lbl)}</option>`;
+        const colorFields = Object.keys(headers).filter(f => customerFieldValues(f).length > 1);
+        const colorScale = customerColorScale();
+        const colorKey = colorScale ? customerFieldValues(custColorBy).slice(0, 12).map(v =>
+          `<span style="display:inline-flex;align-items:center;gap:3px;margin-right:6px"><span class="swatch" style="width:10px;height:10px;border-radius:50%;border:1px solid #555;background:${colorScale(v)}"></span>${escapeHtml(v)}</span>`).join('') : '';
+        const custFields = (filterFields.length || colorFields.length) ? `<div class="cust-fields" style="margin-top:6px;border-top:1px solid #eee;padding-top:6px">
+            ${filterFields.map(f => `<div class="row" style="display:flex;gap:8px;align-items:center">
+              <div>${escapeHtml(headers[f] || f)}:</div>
+              <select data-custfilter="${escapeHtml(f)}" style="margin-left:auto;max-width:170px">${opt('', 'Any', !custFilter[f])}${customerFieldValues(f).map(v => opt(v, v, (custFilter[f] || '').toLowerCase() === v.toLowerCase())).join('')}</select>
+            </div>`).join('')}
+            ${colorFields.length ? `<div class="row" style="display:flex;gap:8px;align-items:center">
+              <div>Colour customers by:</div>
+              <select id="custColorBy" style="margin-left:auto;max-width:170px">${opt('', 'Zone day', !custColorBy)}${colorFields.map(f => opt(f, headers[f] || f, custColorBy === f)).join('')}</select>
+            </div>` : ''}
+            ${colorKey ? `<div class="row" style="flex-wrap:wrap;font-size:12px">${colorKey}</div>` : ''}
+          </div>` : '';
+        const aggToggles = `<div class="row" style="display:flex;gap:8px;align-items:center">
+            <input type="checkbox" id="toggleCluster" ${clusterOn ? 'checked' : ''} aria-label="Cluster customers">
+            <div>Cluster customers</div>
+          </div>
+          <div class="row" style="display:flex;gap:8px;align-items:center">
+            <input type="checkbox" id="toggleHeat" ${heatOn ? 'checked' : ''} aria-label="Show customer density heatmap">
+            <div>Density heatmap</div>
+          </div>`;
+        const unionToggle = unionDayLayers.length ? `<div class="row" style="display:flex;gap:8px;align-items:center">
+            <input type="checkbox" id="toggleUnion" ${unionVisible ? 'checked' : ''} aria-label="Show zone perimeters">
+            <div>Show zone perimeters</div>
+          </div>` : '';
+        const exportRow = `<div class="row" style="margin-top:6px;border-top:1px solid #eee;padding-top:6px;display:flex;gap:8px;align-items:center">
+            <div>Export customers:</div>
+            <button type="button" data-export="csv" style="margin-left:auto">CSV</button>
+            <button type="button" data-export="geojson">GeoJSON</button>
+          </div>`;
+        const pickRow = `<div class="row" style="display:flex;gap:8px;align-items:center">
+            <div>Edit selection:</div>
+            <button type="button" id="togglePick" style="margin-left:auto" aria-pressed="${pickMode.on}">${pickMode.on ? 'Picking…' : 'Pick zones'}</button>
+          </div>`;
+        const merge = cfg.selection?.mergeDays !== false;
+        const activeDay = effectiveSelectionDay();
+        const showSwitch = selectionFromCsv() && (selectionDays.length > 1 || (!merge && selectionDays.length));
+        const dayBtn = (val, lbl, on) => `<button type="button" data-selday="${escapeHtml(val)}" aria-pressed="${on}" class="${on ? 'on' : ''}">${escapeHtml(lbl)}</button>`;
+        const daySwitch = showSwitch ? `<div class="row day-switch" style="display:flex;flex-wrap:wrap;gap:4px;align-items:center;margin-top:4px">
+            <div style="margin-right:4px">Selection day:</div>
+            ${merge ? dayBtn('', 'All', !activeDay) : ''}
+            ${selectionDays.map(d => dayBtn(d, d.slice(0, 3), activeDay === d)).join('')}
+          </div>` : '';
+        const shareRow = `<div class="row" style="display:flex;gap:8px;align-items:center">
+            <div>Share view:</div>
+            <button type="button" id="copyLink" style="margin-left:auto">Copy link</button>
+          </div>`;
+        el.innerHTML = `<h4 style="margin:0 0 6px 0;font-size:14px">Layers</h4>${rowsHtml}${daySwitch}${custBlock}${custFields}${toggle}${aggToggles}${unionToggle}${exportRow}${pickRow}${shareRow}`;
 
         const tgl = el.querySelector('#toggleOutside');
         if (tgl) {
@@ -1378,6 +4074,21 @@
             recolorAndRecountCustomers();
           });
         }
+        el.querySelectorAll('select[data-custfilter]').forEach(sel => sel.addEventListener('change', (e) => {
+          custFilter[sel.getAttribute('data-custfilter')] = e.target.value;
+          recolorAndRecountCustomers();
+          const activeKeysOrderedLower = selectedOrderedKeys.filter(k => visibleSelectedKeysSet.has(k)).map(k => k.toLowerCase());
+          setStatus(makeStatusLine(selectedMunicipalities, custWithinSel, custOutsideSel, activeKeysOrderedLower));
+        }));
+        el.querySelector('#custColorBy')?.addEventListener('change', (e) => { custColorBy = e.target.value; recolorAndRecountCustomers(); });
+        el.querySelector('#toggleCluster')?.addEventListener('change', (e) => setClusterOn(e.target.checked));
+        el.querySelector('#toggleHeat')?.addEventListener('change', (e) => setHeatOn(e.target.checked));
+        const utgl = el.querySelector('#toggleUnion');
+        if (utgl) utgl.addEventListener('change', (e) => setUnionVisible(e.target.checked));
+        el.querySelector('#togglePick')?.addEventListener('click', () => setPickMode(!pickMode.on));
+        el.querySelector('#copyLink')?.addEventListener('click', copyPermalink);
+        el.querySelectorAll('button[data-selday]').forEach(b => b.addEventListener('click', () => setSelectionDay(b.getAttribute('data-selday'))));
+        el.querySelectorAll('button[data-export]').forEach(b => b.addEventListener('click', () => exportAttribution(b.getAttribute('data-export'))));
       }
 
       // Put this directly after renderLegend(...) inside the IIFE
@@ -1398,6 +4109,28 @@
       // =================================================================
       // Helpers
       // =================================================================
+      // Uniform bbox grid (cell size in degrees). Items are registered in every cell their bbox touches.
+      function createSpatialIndex(cellDeg){
+        const cells = new Map();
+        const cellOf = v => Math.floor(v / cellDeg);
+        return {
+          insert(item, bbox){
+            const [minX, minY, maxX, maxY] = bbox;
+            if (![minX, minY, maxX, maxY].every(Number.isFinite)) return;
+            for (let cx = cellOf(minX); cx <= cellOf(maxX); cx++) for (let cy = cellOf(minY); cy <= cellOf(maxY); cy++) {
+              const id = `${cx}:${cy}`;
+              if (!cells.has(id)) cells.set(id, []);
+              cells.get(id).push({ item, bbox });
+            }
+          },
+          query(x, y){
+            const bucket = cells.get(`${cellOf(x)}:${cellOf(y)}`) || [];
+            return bucket.filter(e => x >= e.bbox[0] && x <= e.bbox[2] && y >= e.bbox[1] && y <= e.bbox[3]).map(e => e.item);
+          }
+        };
+      }
+      function selectionFromCsv(){ return !pickMode.on && !emptySelectionPinned && !(Array.isArray(manualSelectedKeys) && manualSelectedKeys.length); }
+      function selectionCsvUrl(){ return qs.get('sel') || (cfg.selection && cfg.selection.url) || ''; }
       function totalFeatureCount(){
         try { return [...baseDayLayers, ...quadDayLayers, ...subqDayLayers].reduce((acc,e)=> acc + (e.features?.length || 0), 0); }
         catch { return 0; }
@@ -1418,8 +4151,11 @@
       function smartTitleCase(s) { if (!s) return ''; s = s.toLowerCase(); const parts = s.split(/([\/-])/g); const small = new Set(['and','or','of','the','a','an','in','on','at','by','for','to','de','la','le','el','du','von','van','di','da','del']); const fix = (w,first)=>!first && small.has(w) ? w : (w==='st'||w==='st.'?'St.':w==='mt'||w==='mt.'?'Mt.': w.charAt(0).toUpperCase()+w.slice(1)); let idx=0; for (let i=0;i<parts.length;i++){ if (parts[i]=='/'||parts[i]=='-') continue; parts[i]=parts[i].split(/\s+/).map(tok=>fix(tok, idx++===0)).join(' ');} return parts.map(p=>p==='/'?'/':(p==='-'?'-':p)).join('').replace(/\s+/g, ' ').trim(); }
       function escapeHtml(s) { return String(s || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;'); }
       function clamp(v,min,max){ return Math.max(min, Math.min(max, v)); }
-      const safeName = s => String(s||'').replace(/[^\w.-]+/g,'_');
-      const ensurePngExt = s => /\.(png)$/i.test(s) ? s : (s.replace(/\.[a-z0-9]+$/i,'') + '.png');
+      // declarations (not const arrows) so the headless export paths can use them before boot reaches this line
+      function safeName(s){ return String(s||'').replace(/[^\w.-]+/g,'_'); }
+      function ensureExt(s, ext){ return new RegExp(`\\.${ext}$`, 'i').test(s) ? s : (s.replace(/\.[a-z0-9]+$/i,'') + '.' + ext); }
+      function mimeExt(mime){ return ({ 'application/pdf': 'pdf', 'image/jpeg': 'jpg', 'image/webp': 'webp' })[mime] || 'png'; }
+      function ensureDocExt(s){ return ensureExt(s, mimeExt(lastDocMime)); }
 
       // ✔ Deterministic name → color helper (needed by driver overlays & panel)
       function colorFromName(name, opts = {}) {
@@ -1436,6 +4172,465 @@
         return `hsl(${hue}, ${sat}%, ${light}%)`;
       }
 
+      // =================================================================
+      // Upload queue — every snapshot / packet save goes through it. Jobs persist in IndexedDB
+      // ('dispatchViewer' → 'uploads', memory-only when unavailable), retry with exponential backoff
+      // (cfg.uploads) and resume after a reload. job.id is the idempotency key: sent as idempotencyKey to the
+      // webhook and stored as a Drive appProperty, so a retry after a lost reply doesn't make a second copy.
+      // The targets are captured at enqueue time; a resumed job uploads where it was meant to go.
+      // =================================================================
+
+      // ---------- storage targets ----------
+      // cfg.storage = { mode, targets: [...] }; ?storage= (JSON or websafe b64 JSON: that object or just the targets
+      // array) replaces cfg's list and ?storageMode= the mode. ?cb= and ?driveDirect=1&gClientId= still add the
+      // built-in 'webhook' / 'drive' targets. mode "fallback" (default) tries targets in order until one takes the
+      // file; "parallel" sends to all at once and a job is done when every target has it (retries skip the ones
+      // that already do).
+      //   { type: 'http',   url, headers, fileField, fields }  multipart POST; reply JSON url / link → link
+      //   { type: 's3',     presignUrl, headers }               POST { name, mimeType, … } → { url, headers?, publicUrl? },
+      //                                                        then PUT the bytes; a batch item's putUrl skips the presign
+      //   { type: 'folder', name }                              File System Access API; folder chosen in the dock, handle
+      //                                                        kept in IndexedDB ('dispatchViewer' → 'handles')
+      //   { type: 'webhook', url } / { type: 'drive', clientId, folderId, folderName }
+      // Every target takes id (default type + position), label and enabled:false. Types: STORAGE_TYPES.
+
+      function storageConfig(){
+        const raw = qs.get('storage');
+        let fromUrl = raw ? parseJSON(raw, null) : null;
+        if (raw && !fromUrl) {
+          try { fromUrl = JSON.parse(new TextDecoder().decode(Uint8Array.from(atob(raw.replace(/-/g,'+').replace(/_/g,'/')), ch => ch.charCodeAt(0)))); } catch {}
+        }
+        const sc = cfg.storage || {};
+        const list = Array.isArray(fromUrl) ? fromUrl : (Array.isArray(fromUrl?.targets) ? fromUrl.targets : (sc.targets || []));
+        const targets = list.filter(t => t && STORAGE_TYPES[t.type] && t.enabled !== false)
+          .map((t, i) => ({ ...t, id: String(t.id || `${t.type}${i + 1}`) }));
+        if (driveDirect && gClientId && !targets.some(t => t.id === 'drive')) {
+          targets.push({ id: 'drive', type: 'drive', clientId: gClientId, folderId: driveFolderIdCandidate || '', folderName: DRIVE_FOLDER_DEFAULT_NAME });
+        }
+        if (cbUrl && !targets.some(t => t.id === 'webhook')) targets.push({ id: 'webhook', type: 'webhook', url: cbUrl });
+        const mode = String(qs.get('storageMode') || fromUrl?.mode || sc.mode || 'fallback').toLowerCase() === 'parallel' ? 'parallel' : 'fallback';
+        return { mode, targets };
+      }
+      function storageTargets(){ return storageConfig().targets; }
+      function targetLabel(t){ return t.label || STORAGE_TYPES[t.type] || t.id; }
+      function targetOrigin(url){ try { return new URL(url, location.href).origin; } catch { return String(url || ''); } }
+      // where a target writes to, for the dock / queue (HTML)
+      function targetDetailHtml(t){
+        switch (t.type) {
+          case 'webhook': return (t.url || cbUrl) ? escapeHtml(targetOrigin(t.url || cbUrl)) : '— (no url)';
+          case 'drive': {
+            if (!(t.clientId || gClientId)) return '— (no clientId)';
+            return t.folderId ? 'folder id:' + escapeHtml(t.folderId) : 'folder ' + escapeHtml(t.folderName || DRIVE_FOLDER_DEFAULT_NAME);
+          }
+          case 'http': return t.url ? escapeHtml(targetOrigin(t.url)) : '— (no url)';
+          case 's3': return t.presignUrl ? 'presign via ' + escapeHtml(targetOrigin(t.presignUrl)) : 'per-item putUrl';
+          case 'folder': {
+            if (!window.showDirectoryPicker) return 'not supported in this browser';
+            const dir = folderHandles.get(t.id);
+            return `${dir ? escapeHtml(dir.name) + '/' : 'no folder chosen'} <button type="button" data-pickfolder="${escapeHtml(t.id)}">${dir ? 'Change' : 'Choose folder'}</button>`;
+          }
+          default: return '';
+        }
+      }
+      // per-target result of one job: ✓ / ✗ / … with link or error (HTML)
+      function targetResultHtml(job, t){
+        const r = job?.results?.[t.id];
+        if (!r) return '';
+        if (r.status === 'sent') {
+          const what = r.unconfirmed ? '✓ (unconfirmed)' : '✓';
+          return r.link ? `<a href="${escapeHtml(r.link)}" target="_blank" rel="noopener">${what} open</a>` : what;
+        }
+        if (r.status === 'sending') return '… sending';
+        return `<span class="err">✗ ${escapeHtml(r.error || 'failed')}</span>`;
+      }
+
+      async function chooseStorageFolder(id){
+        if (!window.showDirectoryPicker) throw new Error('File System Access API not available');
+        const dir = await window.showDirectoryPicker({ id: `dv-${id}`.slice(0, 32), mode: 'readwrite' });
+        folderHandles.set(id, dir);
+        await uploads.ready;
+        if (uploads.db) {
+          try { await new Promise((resolve, reject) => { const tx = uploads.db.transaction('handles', 'readwrite'); tx.objectStore('handles').put(dir, id); tx.oncomplete = resolve; tx.onerror = () => reject(tx.error); }); }
+          catch (e) { console.warn('[uploads] folder handle not persisted', e); }
+        }
+        refreshDockTargets();
+        return dir;
+      }
+
+      // One target, one attempt → { link, folder, unconfirmed }; throws with a short reason
+      async function sendToTarget(t, job){
+        switch (t.type) {
+          case 'drive': {
+            const reply = await uploadToDriveDirect({
+              clientId: t.clientId || gClientId, folderId: t.folderId || '', folderName: t.folderName || DRIVE_FOLDER_DEFAULT_NAME,
+              dataUrl: job.dataUrl, name: job.name, idempotencyKey: job.id
+            });
+            if (!reply || !reply.id) throw new Error('no file id returned');
+            return { link: toDriveViewLink(reply), folder: t.folderName || DRIVE_FOLDER_DEFAULT_NAME };
+          }
+          case 'webhook': {
+            const reply = await saveViaWebhook(t.url || cbUrl, {
+              ...job.fields, name: job.name,
+              pngBase64: job.dataUrl, mimeType: job.mime, // one file field for every format (existing doPost handlers read it)
+              idempotencyKey: job.id, attempt: job.attempts
+            });
+            if (reply && (reply.ok === false || reply.success === false)) throw new Error(reply.error || reply.message || 'rejected');
+            // HTTP 2xx without a readable ACK still counts as delivered
+            return { link: toDriveViewLink(reply), folder: reply?.folder || '', unconfirmed: !(reply && (reply.ok || reply.success)) };
+          }
+          case 'http': return await uploadViaHttp(t, job);
+          case 's3': return await uploadViaPresignedPut(t, job);
+          case 'folder': return await saveToLocalFolder(t, job);
+          default: throw new Error(`unknown target type ${t.type}`);
+        }
+      }
+
+      async function uploadViaHttp(t, job){
+        if (!t.url) throw new Error('no url');
+        const fd = new FormData();
+        const meta = { ...job.fields, ...(t.fields || {}), name: job.name, mimeType: job.mime, idempotencyKey: job.id };
+        Object.entries(meta).forEach(([k, v]) => fd.append(k, (v && typeof v === 'object') ? JSON.stringify(v) : String(v ?? '')));
+        fd.append(t.fileField || 'file', dataUrlToBlob(job.dataUrl), job.name);
+        const res = await fetch(t.url, { method: t.method || 'POST', headers: { 'Idempotency-Key': job.id, ...(t.headers || {}) }, body: fd });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        let reply = null;
+        try { reply = await res.json(); } catch {}
+        return { link: reply?.url || reply?.link || reply?.webViewLink || '' };
+      }
+
+      // PUT to the same object key is idempotent by nature; the presign call still gets idempotencyKey
+      async function uploadViaPresignedPut(t, job){
+        let put = job.putUrl ? { url: job.putUrl } : null;
+        if (!put) {
+          if (!t.presignUrl) throw new Error('no presignUrl and no putUrl on the item');
+          const res = await fetch(t.presignUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(t.headers || {}) },
+            body: JSON.stringify({ ...job.fields, name: job.name, mimeType: job.mime, idempotencyKey: job.id })
+          });
+          if (!res.ok) throw new Error(`presign HTTP ${res.status}`);
+          put = await res.json();
+          if (!put?.url) throw new Error('presign reply has no url');
+        }
+        const res = await fetch(put.url, { method: 'PUT', headers: { 'Content-Type': job.mime, ...(put.headers || {}) }, body: dataUrlToBlob(job.dataUrl) });
+        if (!res.ok) throw new Error(`PUT HTTP ${res.status}`);
+        return { link: put.publicUrl || String(put.url).split('?')[0] };
+      }
+
+      async function saveToLocalFolder(t, job){
+        const dir = folderHandles.get(t.id);
+        if (!dir) throw new Error('no folder chosen (dock → Choose folder)');
+        let perm = await dir.queryPermission?.({ mode: 'readwrite' });
+        if (perm !== 'granted') {
+          try { perm = await dir.requestPermission?.({ mode: 'readwrite' }); } catch {} // needs a user gesture
+        }
+        if (perm && perm !== 'granted') throw new Error('folder access not granted (dock → Change)');
+        const fh = await dir.getFileHandle(job.name, { create: true });
+        const w = await fh.createWritable();
+        await w.write(dataUrlToBlob(job.dataUrl));
+        await w.close();
+        return { folder: dir.name, link: '' };
+      }
+      function uploadSettings(){
+        const u = cfg.uploads || {};
+        return {
+          maxAttempts: Math.max(1, Number(u.maxAttempts) || 6),
+          baseDelayMs: (Number(u.baseDelaySeconds) || 5) * 1000,
+          maxDelayMs:  (Number(u.maxDelaySeconds) || 600) * 1000,
+          keepSentMs:  Number(u.keepSentHours ?? 24) * 3600e3
+        };
+      }
+      function hasUploadTarget(){ return storageTargets().length > 0; }
+      function newUploadId(){
+        if (window.crypto?.randomUUID) return crypto.randomUUID();
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+      }
+
+      async function initUploadQueue(){
+        window.addEventListener('online', () => pumpUploads());
+        try {
+          uploads.db = await new Promise((resolve, reject) => {
+            const req = indexedDB.open('dispatchViewer', 2);
+            let gaveUp = false;
+            req.onupgradeneeded = () => {
+              const db = req.result;
+              if (!db.objectStoreNames.contains('uploads')) db.createObjectStore('uploads', { keyPath: 'id' });
+              if (!db.objectStoreNames.contains('handles')) db.createObjectStore('handles'); // folder target id → directory handle
+            };
+            // an older tab still holds version 1 open: run memory-only rather than wait for it to close
+            req.onblocked = () => { gaveUp = true; reject(new Error('upgrade blocked by another open tab')); };
+            req.onsuccess = () => {
+              const db = req.result;
+              if (gaveUp) { db.close(); return; }
+              // a newer tab wants to upgrade: let it, this one carries on memory-only
+              db.onversionchange = () => {
+                db.close();
+                if (uploads.db === db) { uploads.db = null; console.warn('[uploads] IndexedDB closed for a newer tab — queue is memory-only'); }
+              };
+              resolve(db);
+            };
+            req.onerror = () => reject(req.error);
+          });
+          const saved = await uploadStore('readonly', st => st.getAll()) || [];
+          const { keepSentMs } = uploadSettings();
+          for (const job of saved) {
+            if (job.status === 'sent' && Date.now() - (job.sentAt || 0) > keepSentMs) { forgetUpload(job.id); continue; }
+            if (job.status === 'sending') job.status = 'pending'; // the reload interrupted it
+            if (!job.targets) { // queued before storage targets: { order, webhook, drive }
+              job.targets = (job.order || []).map(id => (id === 'drive' ? job.drive && { id, type: 'drive', ...job.drive } : job.webhook && { id, type: 'webhook', url: job.webhook })).filter(Boolean);
+              job.mode = 'fallback'; job.results = {};
+            }
+            uploads.items.set(job.id, job);
+          }
+          const tx = uploads.db.transaction('handles', 'readonly'), hs = tx.objectStore('handles');
+          const [ids, dirs] = await Promise.all([hs.getAllKeys(), hs.getAll()].map(req => new Promise((resolve, reject) => { req.onsuccess = () => resolve(req.result); req.onerror = () => reject(req.error); })));
+          ids.forEach((id, i) => folderHandles.set(id, dirs[i]));
+        } catch (e) {
+          uploads.db = null;
+          console.warn('[uploads] IndexedDB unavailable — queue is memory-only', e);
+        }
+        const open = [...uploads.items.values()].filter(j => j.status !== 'sent');
+        if (open.length && !(batchItems.length && !manualMode)) setUploadsPanelOpen(true);
+        if (open.some(j => j.status === 'pending')) pumpUploads();
+        updateUploadsButton();
+      }
+
+      function uploadStore(mode, fn){
+        return new Promise((resolve, reject) => {
+          const tx = uploads.db.transaction('uploads', mode);
+          const req = fn(tx.objectStore('uploads'));
+          tx.oncomplete = () => resolve(req?.result);
+          tx.onerror = tx.onabort = () => reject(tx.error);
+        });
+      }
+      async function persistUpload(job){
+        if (!uploads.db) return;
+        try { await uploadStore('readwrite', st => st.put(job)); } catch (e) { console.warn('[uploads] persist failed', job.name, e); }
+      }
+      async function forgetUpload(id){
+        if (!uploads.db) return;
+        try { await uploadStore('readwrite', st => st.delete(id)); } catch {}
+      }
+
+      // order: target ids to put first (fallback mode tries them in that order; the rest follow in config order);
+      // fields: extra metadata sent with the file (webhookFields); putUrl: presigned PUT for s3 targets
+      async function enqueueUpload({ dataUrl, name, mime, order, fields, putUrl }){
+        await uploads.ready; // saved jobs first, so a restore can't clobber this one
+        const now = Date.now();
+        const { mode, targets } = storageConfig();
+        const rank = (t) => { const i = (order || []).indexOf(t.id); return i < 0 ? Infinity : i; };
+        const job = {
+          id: newUploadId(), name, mime: mime || 'image/png', dataUrl, fields: fields || {}, putUrl: putUrl || '',
+          mode, targets: targets.map((t, i) => ({ t, i })).sort((a, b) => (rank(a.t) - rank(b.t)) || (a.i - b.i)).map(x => x.t),
+          results: {}, // target id → { status: sending|sent|failed, link, folder, unconfirmed, error, at }
+          status: 'pending', attempts: 0, nextAt: now, createdAt: now, sentAt: 0,
+          lastError: '', link: '', via: '', folder: '', unconfirmed: false
+        };
+        uploads.items.set(job.id, job);
+        await persistUpload(job);
+        renderUploadsPanel();
+        return job;
+      }
+
+      // Sends every due job, one at a time, then arms a timer for the next retry. Concurrent callers share the run;
+      // tabs sharing the queue take turns through the 'dv-uploads' Web Lock (no Locks API → no coordination).
+      async function pumpUploads(){
+        if (uploads.pumping) return uploads.pumping;
+        clearTimeout(uploads.timer); uploads.timer = null;
+        const run = async () => {
+          for (;;) {
+            const due = nextDueUpload();
+            if (!due) return;
+            if (await uploadChangedElsewhere(due)) continue;
+            await attemptUpload(due);
+          }
+        };
+        uploads.pumping = navigator.locks?.request ? navigator.locks.request('dv-uploads', run) : run();
+        let drained = false;
+        try {
+          await uploads.pumping;
+          drained = true;
+        } finally {
+          uploads.pumping = null;
+          if (drained && nextDueUpload()) pumpUploads(); // queued while the run was winding down
+          else {
+            const next = Math.min(...[...uploads.items.values()].filter(j => j.status === 'pending').map(j => j.nextAt));
+            if (Number.isFinite(next)) uploads.timer = setTimeout(pumpUploads, Math.max(0, next - Date.now()) + 50);
+          }
+        }
+      }
+      function nextDueUpload(){
+        return [...uploads.items.values()]
+          .filter(j => j.status === 'pending' && j.nextAt <= Date.now())
+          .sort((a, b) => a.nextAt - b.nextAt)[0];
+      }
+      // Another tab may have sent, rescheduled or dropped the job while this one waited for the lock: the stored copy
+      // wins. ('sending' on disk while we hold the lock means that tab died mid-send.)
+      async function uploadChangedElsewhere(job){
+        if (!uploads.db) return false;
+        let saved;
+        try { saved = await uploadStore('readonly', st => st.get(job.id)); } catch { return false; }
+        if (!saved) { uploads.items.delete(job.id); renderUploadsPanel(); return true; }
+        if ((saved.status === 'pending' || saved.status === 'sending') && saved.nextAt <= Date.now()) return false;
+        Object.assign(job, saved);
+        renderUploadsPanel();
+        return true;
+      }
+
+      async function attemptUpload(job){
+        const { maxAttempts, baseDelayMs, maxDelayMs } = uploadSettings();
+        job.status = 'sending'; job.attempts++;
+        renderUploadsPanel();
+        try {
+          await deliverUpload(job);
+          const sent = job.targets.map(t => job.results[t.id]).filter(r => r?.status === 'sent');
+          Object.assign(job, {
+            status: 'sent', sentAt: Date.now(), dataUrl: null, lastError: '',
+            link: sent.find(r => r.link)?.link || '', via: job.targets.filter(t => job.results[t.id]?.status === 'sent').map(t => t.id).join(','),
+            folder: sent.find(r => r.folder)?.folder || '', unconfirmed: sent.some(r => r.unconfirmed)
+          });
+        } catch (e) {
+          job.lastError = String(e?.message || e);
+          if (job.attempts >= maxAttempts) job.status = 'failed';
+          else {
+            // ±20% jitter so several open tabs don't retry in lockstep
+            job.status = 'pending';
+            job.nextAt = Date.now() + Math.min(maxDelayMs, baseDelayMs * 2 ** (job.attempts - 1)) * (0.8 + Math.random() * 0.4);
+          }
+          if (!(batchItems.length && !manualMode)) setUploadsPanelOpen(true);
+        }
+        await persistUpload(job);
+        renderUploadsPanel();
+        emitViewerEvent('upload', uploadPayload(job));
+        return job;
+      }
+
+      // One attempt over the targets that don't have the file yet — in order until one takes it (fallback) or all
+      // at once (parallel). Throws when the job isn't done, with each failed target's reason.
+      async function deliverUpload(job){
+        const open = job.targets.filter(t => job.results[t.id]?.status !== 'sent');
+        const run = async (t) => {
+          const r = job.results[t.id] = { status: 'sending', error: '' };
+          renderUploadsPanel();
+          try { Object.assign(r, await sendToTarget(t, job), { status: 'sent', at: Date.now() }); }
+          catch (e) { Object.assign(r, { status: 'failed', error: String(e?.message || e), at: Date.now() }); }
+          renderUploadsPanel();
+          return r.status === 'sent';
+        };
+        if (job.mode === 'parallel') await Promise.all(open.map(run));
+        else for (const t of open) { if (await run(t)) break; }
+
+        const sent = job.targets.filter(t => job.results[t.id]?.status === 'sent').length;
+        if (job.targets.length && (job.mode === 'parallel' ? sent === job.targets.length : sent > 0)) return;
+        const failed = job.targets.filter(t => job.results[t.id]?.status === 'failed');
+        throw new Error(failed.map(t => `${targetLabel(t)}: ${job.results[t.id].error}`).join(' • ') || 'No upload target');
+      }
+
+      function retryUpload(id){
+        const job = uploads.items.get(id);
+        if (!job || !job.dataUrl || job.status === 'sending') return;
+        Object.assign(job, { status: 'pending', attempts: 0, nextAt: Date.now() });
+        persistUpload(job);
+        pumpUploads();
+      }
+      function discardUpload(id){
+        const job = uploads.items.get(id);
+        if (!job || job.status === 'sending') return;
+        uploads.items.delete(id);
+        forgetUpload(id);
+        renderUploadsPanel();
+      }
+      // resolves once nothing is pending or mid-send (headless runs wait here before finishing)
+      function uploadsSettled(){
+        return new Promise((resolve) => {
+          const check = () => ([...uploads.items.values()].some(j => j.status === 'pending' || j.status === 'sending') ? setTimeout(check, 1000) : resolve());
+          check();
+        });
+      }
+      function uploadPayload(job){
+        return { id: job.id, name: job.name, mimeType: job.mime, status: job.status, attempts: job.attempts, error: job.lastError, link: job.link, via: job.via, targets: job.results };
+      }
+      function uploadCounts(){
+        const c = { pending: 0, sending: 0, failed: 0, sent: 0 };
+        uploads.items.forEach(j => { c[j.status] = (c[j.status] || 0) + 1; });
+        return c;
+      }
+      function fmtRetryAt(t){
+        const sec = Math.max(0, Math.round((t - Date.now()) / 1000));
+        return sec < 60 ? `in ${sec}s` : (sec < 3600 ? `in ${Math.round(sec / 60)} min` : `at ${new Date(t).toLocaleTimeString()}`);
+      }
+
+      function ensureUploadsUi(){
+        if (uploadsEl) return;
+        uploadsEl = document.createElement('div');
+        uploadsEl.id = 'uploads';
+        uploadsEl.className = 'panel';
+        uploadsEl.setAttribute('aria-live', 'polite');
+        document.body.appendChild(uploadsEl);
+        uploadsEl.addEventListener('click', (e) => {
+          const act = e.target.getAttribute?.('data-act');
+          if (!act) return;
+          if (act === 'close') { setUploadsPanelOpen(false); return; }
+          if (act === 'clear') { [...uploads.items.values()].filter(j => j.status === 'sent').forEach(j => discardUpload(j.id)); return; }
+          const id = e.target.closest?.('li[data-id]')?.getAttribute('data-id');
+          const job = id && uploads.items.get(id);
+          if (!job) return;
+          if (act === 'retry') retryUpload(id);
+          else if (act === 'discard') discardUpload(id);
+          else if (act === 'download' && job.dataUrl) downloadFallback(job.dataUrl, job.name);
+        });
+      }
+
+      function uploadsPanelOpen(){ return !!uploadsEl && uploadsEl.style.display !== 'none'; }
+      function setUploadsPanelOpen(on){
+        if (on) ensureUploadsUi();
+        if (uploadsEl) uploadsEl.style.display = on ? 'block' : 'none';
+        document.getElementById('btnUploads')?.classList.toggle('armed', !!on);
+        renderUploadsPanel();
+      }
+
+      function updateUploadsButton(){
+        const btn = document.getElementById('btnUploads');
+        if (!btn) return;
+        const c = uploadCounts(), open = c.pending + c.sending + c.failed;
+        btn.textContent = open ? `⇪ Uploads (${open})` : '⇪ Uploads';
+        btn.classList.toggle('warn', c.failed > 0);
+      }
+
+      function renderUploadsPanel(){
+        updateUploadsButton();
+        updateDiagnostics();
+        refreshDockTargets();
+        if (!uploadsPanelOpen()) return;
+        const { maxAttempts } = uploadSettings();
+        const jobs = [...uploads.items.values()].sort((a, b) => b.createdAt - a.createdAt);
+        const groups = [
+          ['Pending', jobs.filter(j => j.status === 'pending' || j.status === 'sending')],
+          ['Failed',  jobs.filter(j => j.status === 'failed')],
+          ['Sent',    jobs.filter(j => j.status === 'sent')]
+        ];
+        const btn = (act, label) => `<button type="button" data-act="${act}">${label}</button>`;
+        const row = (j) => {
+          let state, acts = '';
+          if (j.status === 'sending') state = `sending… (attempt ${j.attempts}/${maxAttempts})`;
+          else if (j.status === 'pending') { state = j.attempts ? `attempt ${j.attempts}/${maxAttempts} failed • retry ${fmtRetryAt(j.nextAt)}` : 'queued'; acts = btn('retry', 'Send now') + btn('download', 'Download') + btn('discard', 'Discard'); }
+          else if (j.status === 'failed') { state = `gave up after ${j.attempts} attempt(s)`; acts = btn('retry', 'Retry') + btn('download', 'Download') + btn('discard', 'Discard'); }
+          else { state = `sent ${new Date(j.sentAt).toLocaleTimeString()}`; acts = btn('discard', 'Discard'); }
+          const per = (j.targets || []).filter(t => j.results?.[t.id])
+            .map(t => `${escapeHtml(targetLabel(t))} ${targetResultHtml(j, t)}`).join(' • ');
+          const detail = per ? `<div class="tg">${per}</div>` : ((j.status !== 'sent' && j.lastError) ? `<div class="err">${escapeHtml(j.lastError)}</div>` : '');
+          return `<li data-id="${escapeHtml(j.id)}"><div class="nm">${escapeHtml(j.name)}</div><div class="st">${escapeHtml(state)}</div>${detail}${acts ? `<div class="acts">${acts}</div>` : ''}</li>`;
+        };
+        const sections = groups.filter(([, list]) => list.length).map(([label, list]) => `
+          <details${label === 'Sent' ? '' : ' open'}><summary>${label} (${list.length})</summary><ul>${list.map(row).join('')}</ul></details>`).join('');
+        const c = uploadCounts();
+        uploadsEl.innerHTML = `
+          <h4>Uploads — ${c.pending + c.sending} pending • ${c.failed} failed • ${c.sent} sent<button type="button" data-act="close" aria-label="Close">✕</button></h4>
+          <div class="note">${uploads.db ? 'Kept in this browser until sent; resumes after a reload.' : 'IndexedDB unavailable — queue is lost on reload.'}</div>
+          <div class="scroll">${sections || '<div class="note">Nothing queued.</div>'}</div>
+          <div class="row" style="display:flex;gap:6px;margin-top:6px">${c.sent ? btn('clear', 'Clear sent') : ''}</div>`;
+      }
+
       // Webhook helper (text/plain to avoid preflight); robust reply parsing
       async function saveViaWebhook(url, payload){
         const res = await fetch(url, {
@@ -1479,7 +4674,17 @@
       function setStatus(msg) { const n = document.getElementById('status'); if (n) n.textContent = msg || ''; }
       function makeStatusLine(selMunis, inCount, outCount, activeKeysLowerArray) {
         const muniList = (Array.isArray(selMunis) && selMunis.length) ? selMunis.join(', ') : '—';
-        const keysTxt = (Array.isArray(activeKeysLowerArray) && activeKeysLowerArray.length) ? activeKeysLowerArray.join(', ') : '—';
+        let keysTxt = (Array.isArray(activeKeysLowerArray) && activeKeysLowerArray.length) ? activeKeysLowerArray.join(', ') : '—';
+        if (keysTxt !== '—' && selectionFromCsv() && selectionKeyDays.size) {
+          // day-tagged selection → group the keys by their row day
+          const groups = new Map();
+          activeKeysLowerArray.forEach(k => {
+            const days = selectionKeyDays.get(normalizeKey(k));
+            const d = days && days.size ? Array.from(days).join('/') : 'untagged';
+            if (!groups.has(d)) groups.set(d, []); groups.get(d).push(k);
+          });
+          keysTxt = Array.from(groups, ([d, ks]) => `${d}: ${ks.join(', ')}`).join(' | ');
+        }
         return `Customers (in/out): ${inCount}/${outCount} • Municipalities: ${muniList} • active zone keys: ${keysTxt}`;
       }
 
@@ -1492,14 +4697,71 @@
           return Array.isArray(arr) ? arr : [];
         } catch { return []; }
       }
+      // ?view= = "z" + websafe b64 of the deflate-raw'd JSON (CompressionStream), or the plain websafe b64 JSON where
+      // the browser can't compress — that one always starts "ey" ('{"'), so the prefix can't be mistaken for data
+      async function encodeViewState(obj){
+        const json = new TextEncoder().encode(JSON.stringify(obj));
+        if (typeof CompressionStream === 'function') {
+          try { return 'z' + bytesToWebsafeB64(await streamBytes(json, new CompressionStream('deflate-raw'))); } catch {}
+        }
+        return bytesToWebsafeB64(json);
+      }
+      async function parseViewState(b64){
+        if (!b64) return {};
+        try {
+          const s = String(b64);
+          let bytes = websafeB64ToBytes(s.startsWith('z') ? s.slice(1) : s);
+          if (s.startsWith('z')) bytes = await streamBytes(bytes, new DecompressionStream('deflate-raw'));
+          const obj = JSON.parse(new TextDecoder().decode(bytes));
+          return (obj && typeof obj === 'object' && !Array.isArray(obj)) ? obj : {};
+        } catch { return {}; }
+      }
+      function bytesToWebsafeB64(bytes){
+        let bin = ''; bytes.forEach(b => { bin += String.fromCharCode(b); });
+        return btoa(bin).replace(/\+/g,'-').replace(/\//g,'_').replace(/=+$/,'');
+      }
+      function websafeB64ToBytes(b64){
+        const bin = atob(String(b64).replace(/-/g,'+').replace(/_/g,'/'));
+        return Uint8Array.from(bin, ch => ch.charCodeAt(0));
+      }
+      async function streamBytes(bytes, transform){
+        return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer());
+      }
       function splitKeys(s) { return String(s||'').split(/[;,/|]/).map(x => x.trim()).filter(Boolean); }
       function unionAllKeys(items){ const set = new Set(); (items || []).forEach(it => (it.keys || []).forEach(k => set.add(normalizeKey(k)))); return Array.from(set); }
-      function normalizeKey(s) { s = String(s || '').trim().toUpperCase(); const m = s.match(/^([WTFS])0*(\d+)(_.+)?$/); return m ? (s = (m[1] + String(parseInt(m[2], 10)) + (m[3] || ''))) : s; }
-      function baseKeyFrom(key) { const m = String(key||'').toUpperCase().match(/^([WTFS]\d+)/); return m ? m[1] : String(key||'').toUpperCase(); }
-      function quadParts(key) { const m = String(key || '').toUpperCase().match(/_(NE|NW|SE|SW)(?:_(TL|TR|LL|LR))?$/); return m ? { quad: m[1], sub: m[2] || null } : null; }
+      // cfg.keys → compiled key regexes; longest prefix first so e.g. "TU" wins over "T"
+      function buildKeyGrammar(cfg) {
+        const k = cfg.keys || {};
+        const prefixes = {};
+        Object.entries(k.dayPrefixes || { W: 'Wednesday', T: 'Thursday', F: 'Friday', S: 'Saturday' })
+          .forEach(([p, d]) => { if (p) prefixes[String(p).trim().toUpperCase()] = String(d); });
+        const esc = v => String(v).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const alt = arr => arr.map(v => String(v).trim().toUpperCase()).filter(Boolean).sort((a, b) => b.length - a.length).map(esc).join('|');
+        const P = alt(Object.keys(prefixes));
+        const Q = alt(k.quadrants || ['NE', 'NW', 'SE', 'SW']);
+        const S = alt(k.subquadrants || ['TL', 'TR', 'LL', 'LR']);
+        const days = Array.isArray(cfg.days) && cfg.days.length
+          ? cfg.days.map(String)
+          : Array.from(new Set([...(cfg.layers || []).map(l => l?.day).filter(Boolean), ...Object.values(prefixes)]));
+        return {
+          prefixes, days,
+          normRe:  new RegExp(`^(${P})0*(\\d+)(_.+)?$`),
+          baseRe:  new RegExp(`^((?:${P})\\d+)`),
+          quadRe:  new RegExp(`_(${Q})(?:_(${S}))?$`),
+          looseRe: new RegExp(`(?:${P})\\s*0*\\d+(_(${Q})(_(${S}))?)?`, 'i')
+        };
+      }
+      function normalizeKey(s) { s = String(s || '').trim().toUpperCase(); const m = s.match(keyGrammar.normRe); return m ? (s = (m[1] + String(parseInt(m[2], 10)) + (m[3] || ''))) : s; }
+      function baseKeyFrom(key) { const m = String(key||'').toUpperCase().match(keyGrammar.baseRe); return m ? m[1] : String(key||'').toUpperCase(); }
+      function quadParts(key) { const m = String(key || '').toUpperCase().match(keyGrammar.quadRe); return m ? { quad: m[1], sub: m[2] || null } : null; }
       function basePlusQuad(key) { const p = quadParts(key); return p ? (baseKeyFrom(key) + '_' + p.quad) : null; }
       function isSubquadrantKey(k) { const p = quadParts(k); return !!(p && p.sub); }
       function isQuadrantKey(k)    { const p = quadParts(k); return !!(p && !p.sub); }
+      function keyTier(k) { return isSubquadrantKey(k) ? 'subquadrant' : (isQuadrantKey(k) ? 'quadrant' : 'base'); }
+      function toCsv(rows) {
+        const cell = v => { const t = String(v ?? ''); return /[",\n\r]/.test(t) ? `"${t.replace(/"/g, '""')}"` : t; };
+        return rows.map(r => r.map(cell).join(',')).join('\r\n') + '\r\n';
+      }
 
       function parseCsvRows(text) {
         const out = []; let i=0, f='', r=[], q=false;
@@ -1524,19 +4786,35 @@
       function findHeaderFlexible(rows, schema) {
         if (!rows?.length) return null;
         const wantKeys = ((schema && schema.keys) || 'zone keys').toLowerCase();
+        const wantDay  = ((schema && schema.day)  || 'day').toLowerCase();
         const like = s => (s||'').toLowerCase().replace(/[^a-z0-9]+/g,' ').trim();
         for (let i=0;i<rows.length;i++){
           const row = rows[i] || [];
-          let keysCol = -1;
+          let keysCol = -1, dayCol = -1;
           row.forEach((h, idx) => {
             const v = like(h);
             if (keysCol === -1 && (v === like(wantKeys) || v.startsWith('zone key') || v === 'keys' || (v.includes('selected') && v.includes('keys'))))
               keysCol = idx;
+            else if (dayCol === -1 && (v === like(wantDay) || v === 'day' || v === 'delivery day'))
+              dayCol = idx;
           });
-          if (keysCol !== -1) return { headerIndex: i, keysCol };
+          if (keysCol !== -1) return { headerIndex: i, keysCol, dayCol };
         }
         return null;
       }
+      // "wed", "WEDNESDAY", "W" → the configured day name; unknown values pass through trimmed
+      function canonicalDay(s) {
+        const v = String(s || '').trim();
+        if (!v) return '';
+        const low = v.toLowerCase();
+        const hit = keyGrammar.days.find(d => d.toLowerCase() === low || (low.length >= 3 && d.toLowerCase().startsWith(low)));
+        if (hit) return hit;
+        return keyGrammar.prefixes[v.toUpperCase()] || v;
+      }
+      function prefixDay(k) {
+        const m = String(k || '').toUpperCase().match(keyGrammar.normRe);
+        return m ? (keyGrammar.prefixes[m[1]] || '') : '';
+      }
       function findCustomerHeaderIndex(rows, schema) {
         const wantCoords = ((schema && schema.coords) || 'Verified Coordinates').toLowerCase();
         const wantNote   = ((schema && schema.note)   || 'Order Note').toLowerCase();
@@ -1552,9 +4830,19 @@
         const wantCoords = ((schema && schema.coords) || 'Verified Coordinates').toLowerCase();
         const wantNote   = ((schema && schema.note)   || 'Order Note').toLowerCase();
         const idx = (name) => Array.isArray(hdrRow)
-          ? hdrRow.findIndex(h => (h||'').toLowerCase() === name)
+          ? hdrRow.findIndex(h => (h||'').trim().toLowerCase() === name)
           : -1;
-        return { coords: idx(wantCoords), note: idx(wantNote) };
+        const fields = {};
+        Object.entries(customerFieldSchema(schema)).forEach(([field, header]) => { fields[field] = idx(header.toLowerCase()); });
+        return { coords: idx(wantCoords), note: idx(wantNote), fields };
+      }
+      // Every schema entry besides coords/note/delimiter names an extra column: { name: 'Name', box: 'Box Type', … }
+      function customerFieldSchema(schema) {
+        const out = {};
+        Object.entries(schema || {}).forEach(([k, v]) => {
+          if (!['coords', 'note', 'delimiter'].includes(k) && typeof v === 'string' && v.trim()) out[k] = v.trim();
+        });
+        return out;
       }
       function extractAssignmentsFromCsv(rows, knownNamesSet) {
         const like = (s) => String(s||'').toLowerCase().replace(/[^a-z0-9]+/g,' ').trim();
@@ -1601,7 +4889,7 @@
           let allKeys = [];
           for (let c=0;c<row.length;c++) {
             const cell = (row[c]||'').trim();
-            if (/[WTFS]\s*0*\d+(_(NE|NW|SE|SW)(_(TL|TR|LL|LR))?)?/i.test(cell)) {
+            if (keyGrammar.looseRe.test(cell)) {
               allKeys = allKeys.concat(splitKeys(cell).map(normalizeKey));
             }
           }
@@ -1630,10 +4918,17 @@
         box.style.display = 'block';
         box.innerHTML = [
           `cfg: ${escapeHtml(cfgUrl)}`,
-          `features: base=${featureCounts(baseDayLayers)} quad=${featureCounts(quadDayLayers)} subq=${featureCounts(subqDayLayers)}`,
+          `features: base=${featureCounts(baseDayLayers)} quad=${featureCounts(quadDayLayers)} subq=${featureCounts(subqDayLayers)} union=${featureCounts(unionDayLayers)}`,
           `batch routes: ${batchItems.length}`,
           `selected keys: ${selectedOrderedKeys.length} → matched polys: ${coveragePolysSelected.length}`,
-          `customers: total=${customerCount} in=${custWithinSel} out=${custOutsideSel}`
+          `customers: total=${customerCount} in=${custWithinSel} out=${custOutsideSel}`,
+          `in-selection by day: ${keyGrammar.days.map(d => `${escapeHtml(d)}=${custByDayInSel[d] ?? 0}`).join(' ')}`,
+          `selection days: ${selectionDays.length ? escapeHtml(selectionDays.join(', ')) : '—'} • showing ${escapeHtml(effectiveSelectionDay() || 'all')} • conflicts=${selectionDayConflicts.length}`,
+          `refresh: ${refreshTimer ? (lastRefreshAt ? 'last ' + new Date(lastRefreshAt).toLocaleTimeString() : 'armed') : 'off'}`,
+          `lint: ${lint.ranAt ? `${lint.problems.length} problem(s)` : 'off'}`,
+          `uploads: ${Object.entries(uploadCounts()).map(([k, n]) => `${k}=${n}`).join(' ')} • ${uploads.db ? 'indexeddb' : 'memory'}`,
+          `storage: ${(({ mode, targets }) => `${mode} • ${targets.map(t => escapeHtml(`${t.id}(${t.type})`)).join(' ') || 'download only'}`)(storageConfig())}`,
+          `offline: ${offline.reg ? `sw ready • tiles ${offline.tilesDone}/${offline.tilesTotal}` : 'off'} • stale=${staleSources.size}`
         ].map(x=>`<div>${x}</div>`).join('');
       }
 
@@ -1656,6 +4951,90 @@
           .top-error{position:fixed;left:12px;right:12px;top:12px;z-index:10000;background:#ffebee;color:#b71c1c;border:1px solid #ffcdd2;border-radius:8px;box-shadow:0 4px 12px rgba(0,0,0,.08);padding:10px;display:none;font:600 13px system-ui}
           #diag{position:fixed;right:12px;top:12px;z-index:9000;background:rgba(255,255,255,.95);border-radius:8px;box-shadow:0 6px 18px rgba(0,0,0,.12);padding:10px 12px;font:600 12px system-ui;line-height:1.35;display:none;max-width:40ch}
           .lbl{background:rgba(255,255,255,.8);padding:2px 4px;border-radius:4px;border:1px solid rgba(0,0,0,.1);color:#111;font:600 12px system-ui}
+          #picker{top:auto;bottom:52px;display:none;max-width:420px}
+          #picker h4{display:flex;gap:8px}
+          #picker label{font:500 13px system-ui;cursor:pointer}
+          #picker .chips{display:flex;flex-wrap:wrap;gap:4px;margin:6px 0;max-height:30vh;overflow:auto}
+          #picker .chip{display:inline-flex;align-items:center;gap:2px;background:#eef3ff;border:1px solid #c9d6f5;border-radius:12px;padding:1px 4px 1px 8px;font:600 12px system-ui}
+          #picker .chip.shadowed{opacity:.55;text-decoration:line-through}
+          #picker .chip.unknown{background:#ffebee;border-color:#ffcdd2;color:#b71c1c}
+          #picker .chip button{background:transparent;border:none;cursor:pointer;font:700 12px system-ui;padding:0 2px}
+          #picker .note{font:600 12px system-ui;color:#555;word-break:break-all}
+          #map.picking .leaflet-interactive{cursor:copy}
+          #map.assigning .leaflet-interactive{cursor:crosshair}
+          #drivers .row.armed{background:#f2f6ff;border-radius:6px}
+          #drivers .assign-editor{margin-top:6px;border-top:1px solid #eee;padding-top:6px}
+          #drivers .assign-editor .note{font:600 12px system-ui;color:#555;margin:4px 0}
+          #workload{top:auto;bottom:52px;left:auto;right:10px;display:none;max-width:min(92vw,640px)}
+          #workload h4{display:flex;gap:8px;align-items:center}
+          #workload h4 button{background:transparent;border:none;cursor:pointer;font:700 14px system-ui}
+          #workload .scroll{max-height:45vh;overflow:auto}
+          #workload table{border-collapse:collapse;font:500 12px system-ui;font-variant-numeric:tabular-nums}
+          #workload th,#workload td{padding:2px 5px;text-align:right;white-space:nowrap;border-bottom:1px solid #f0f0f0}
+          #workload th:nth-child(-n+2),#workload td:nth-child(-n+2){text-align:left}
+          #workload th{position:sticky;top:0;background:#fff;font-weight:700}
+          #workload th.metric{text-decoration:underline}
+          #workload tr.mean td{font-style:italic;opacity:.7;border-bottom:1px solid #ddd}
+          #workload tr.over td{background:#ffebee;color:#b71c1c}
+          #workload tr.under td{background:#fff8e1;color:#8d6e00}
+          #workload .note{font:600 12px system-ui;color:#555;margin-top:6px}
+          #sequencer{top:auto;bottom:52px;display:none;max-width:380px}
+          #sequencer h4{display:flex;gap:8px;align-items:center}
+          #sequencer h4 button{margin-left:auto;background:transparent;border:none;cursor:pointer;font:700 14px system-ui}
+          #sequencer ol{margin:6px 0;padding-left:26px;max-height:30vh;overflow:auto;font:500 12px system-ui}
+          #sequencer li{margin:2px 0}
+          #sequencer .km{float:right;margin-left:8px;opacity:.7;font-variant-numeric:tabular-nums}
+          #sequencer .note{font:600 12px system-ui;color:#555}
+          .seq-num{background:#111;color:#fff;border:2px solid #fff;border-radius:50%;font:700 11px/16px system-ui;text-align:center;box-shadow:0 1px 4px rgba(0,0,0,.35)}
+          .seq-num.depot{background:#c62828}
+          #lint{top:auto;bottom:52px;left:auto;right:10px;display:none;max-width:min(92vw,520px)}
+          #lint h4{display:flex;gap:8px;align-items:center}
+          #lint h4 button{margin-left:auto;background:transparent;border:none;cursor:pointer;font:700 14px system-ui}
+          #lint .scroll{max-height:45vh;overflow:auto;font:500 12px system-ui}
+          #lint summary{font:700 12px system-ui;cursor:pointer;margin-top:4px}
+          #lint ul{margin:2px 0 4px;padding-left:18px}
+          #lint li{cursor:pointer;margin:1px 0}
+          #lint li:hover{text-decoration:underline}
+          #lint .note{font:600 12px system-ui;color:#555}
+          #uploads{top:auto;bottom:52px;left:auto;right:10px;display:none;width:min(92vw,380px)}
+          #uploads h4{display:flex;gap:8px;align-items:center}
+          #uploads h4 button{margin-left:auto;background:transparent;border:none;cursor:pointer;font:700 14px system-ui}
+          #uploads .scroll{max-height:45vh;overflow:auto;font:500 12px system-ui}
+          #uploads summary{font:700 12px system-ui;cursor:pointer;margin-top:4px}
+          #uploads ul{list-style:none;margin:2px 0 4px;padding:0}
+          #uploads li{padding:4px 0;border-bottom:1px solid #eee}
+          #uploads .nm{font-weight:700;word-break:break-all}
+          #uploads .st{color:#555}
+          #uploads .err,.snap-dock .target .err{color:#b00020}
+          #uploads .tg{color:#333}
+          #uploads .acts{display:flex;gap:4px;margin-top:3px}
+          #uploads .acts button{font:600 11px system-ui;padding:1px 6px;cursor:pointer}
+          #uploads .note{font:600 12px system-ui;color:#555}
+          #exportRun{top:10px;left:50%;transform:translateX(-50%);width:min(94vw,640px);z-index:1100}
+          #exportRun .line{font:600 13px system-ui;margin:4px 0}
+          #exportRun .bar{height:8px;border-radius:4px;background:#eee;overflow:hidden}
+          #exportRun .bar span{display:block;height:100%;background:#2e7d32;transition:width .2s ease}
+          #exportRun .scroll{max-height:60vh;overflow:auto;margin-top:6px}
+          #exportRun table{border-collapse:collapse;width:100%;font:500 12px system-ui}
+          #exportRun th,#exportRun td{text-align:left;vertical-align:top;padding:3px 6px;border-bottom:1px solid #eee}
+          #exportRun tr.bad td{background:#fff4f4}
+          #exportRun small{color:#666;word-break:break-all}
+          #exportRun .note{font:600 12px system-ui;color:#555;margin-top:4px}
+          #search{top:10px;left:50%;transform:translateX(-50%);width:min(92vw,340px);padding:6px 8px;z-index:1050}
+          body.has-toolbar #search{top:58px}
+          #search input{width:100%;box-sizing:border-box;border:1px solid #ccc;border-radius:6px;padding:6px 8px;font:500 13px system-ui}
+          #search #searchResults{display:none;max-height:50vh;overflow:auto;margin-top:4px}
+          #search .grp{font:700 11px system-ui;text-transform:uppercase;letter-spacing:.04em;color:#777;margin:6px 0 2px}
+          #search .hit{display:flex;gap:8px;align-items:baseline;padding:3px 6px;border-radius:5px;cursor:pointer;font:500 13px system-ui}
+          #search .hit small{margin-left:auto;color:#777;white-space:nowrap}
+          #search .hit.active,#search .hit:hover{background:#eef3ff}
+          #search .more{font:500 12px system-ui;color:#777;padding:2px 6px}
+          .leaflet-bottom.leaflet-right .basemap-switch{margin-bottom:48px}
+          .basemap-switch select{border:none;border-radius:4px;padding:4px 6px;font:600 12px system-ui;background:#fff;cursor:pointer}
+          .cust-cluster{background:transparent;border:none}
+          .cust-cluster div{box-sizing:border-box;border:3px solid;border-radius:50%;text-align:center;font:700 12px system-ui;color:#111;box-shadow:0 1px 5px rgba(0,0,0,.35);cursor:pointer}
+          .cust-heat{pointer-events:none}
+          #staleBadge{position:fixed;left:10px;bottom:44px;z-index:1050;background:#fff8e1;color:#8d6e00;border:1px solid #ffe082;border-radius:8px;padding:4px 8px;font:600 12px system-ui;box-shadow:0 2px 8px rgba(0,0,0,.12);display:none}
         `;
         document.head.appendChild(css);
       }
@@ -1666,6 +5045,7 @@
           .route-toolbar button{background:#111;color:#fff;border:none;border-radius:6px;padding:8px 12px;font:600 14px system-ui;cursor:pointer;opacity:.95;transition:background .15s ease}
           .route-toolbar button:hover{opacity:1}
           .route-toolbar button.armed{background:#c62828}
+          .route-toolbar button.warn{box-shadow:inset 0 -3px 0 #ffab00}
 
           /* Banner — compact, centered, 3 rows, single-line rows */
           .dispatch-banner{
@@ -1821,6 +5201,20 @@
         // }
       }
 
+      // jsPDF only when a packet is requested (not needed for PNG snapshots)
+      async function ensurePdfLib(){
+        if (window.jspdf?.jsPDF) return;
+        await new Promise((resolve, reject) => {
+          const s = document.createElement('script');
+          s.src = './vendor/jspdf/jspdf.umd.min.js';
+          s.async = true;
+          s.onload = () => resolve();
+          s.onerror = () => reject(new Error('Failed to load jsPDF'));
+          document.head.appendChild(s);
+        });
+        if (!window.jspdf?.jsPDF) throw new Error('jsPDF missing');
+      }
+
       // ---------- Drive Direct upload (GIS) ----------
       const driveAuth = { ready:false, tokenClient:null, accessToken:'', expiresAt:0, loading:false };
       async function ensureGIS(){
@@ -1899,22 +5293,31 @@
         return id;
       }
       async function uploadToDriveDirect(opts){
-        const { dataUrl, name, folderId, folderName, clientId } = opts || {};
+        const { dataUrl, name, folderId, folderName, clientId, idempotencyKey } = opts || {};
         if (!dataUrl || !clientId) throw new Error('Drive Direct not configured.');
         const token = await getAccessToken(clientId);
 
+        // A retried queue job may already be there (the previous reply got lost) — reuse it
+        if (idempotencyKey) {
+          const q = encodeURIComponent(`appProperties has { key='idempotencyKey' and value='${idempotencyKey}' } and trashed=false`);
+          const res = await fetch(`https://www.googleapis.com/drive/v3/files?q=${q}&fields=files(id,webViewLink)`, { headers: { Authorization: `Bearer ${token}` } });
+          if (res.ok) { const hit = (await res.json()).files?.[0]; if (hit) return hit; }
+        }
+
         // Ensure folder
         const parentId = await ensureDriveFolder(token, folderId, folderName);
 
         // Build multipart/related
+        const fileBlob = dataUrlToBlob(dataUrl);
         const metadata = {
-          name: name || 'snapshot.png',
-          parents: parentId ? [parentId] : undefined
+          name: name || `snapshot.${mimeExt(fileBlob.type)}`,
+          mimeType: fileBlob.type || 'image/png',
+          parents: parentId ? [parentId] : undefined,
+          appProperties: idempotencyKey ? { idempotencyKey } : undefined
         };
         const boundary = '-------314159265358979323846';
         const delimiter = `\r\n--${boundary}\r\n`;
         const closeDelim = `\r\n--${boundary}--`;
-        const pngBlob = dataUrlToBlob(dataUrl);
 
         const body = new Blob(
           [
@@ -1922,8 +5325,8 @@
             'Content-Type: application/json; charset=UTF-8\r\n\r\n',
             JSON.stringify(metadata),
             delimiter,
-            'Content-Type: image/png\r\n\r\n',
-            pngBlob,
+            `Content-Type: ${fileBlob.type || 'image/png'}\r\n\r\n`,
+            fileBlob,
             closeDelim
           ],
           { type: `multipart/related; boundary=${boundary}` }
@@ -1939,6 +5342,23 @@
         return js; // { id, webViewLink }
       }
 
+      async function copyText(text){
+        try { await navigator.clipboard.writeText(text); return true; } catch {}
+        try {
+          const ta = document.createElement('textarea');
+          ta.value = text; ta.style.position = 'fixed'; ta.style.opacity = '0';
+          document.body.appendChild(ta); ta.select();
+          const ok = document.execCommand('copy'); ta.remove();
+          return ok;
+        } catch { return false; }
+      }
+
+      function downloadText(text, name, mime){
+        const url = URL.createObjectURL(new Blob([text], { type: mime || 'text/plain;charset=utf-8' }));
+        downloadFallback(url, name);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+      }
+
       function downloadFallback(dataUrl, name){
         const a = document.createElement('a');
         a.href = dataUrl; a.download = name || 'snapshot.png';
@@ -1947,6 +5367,8 @@
 
       // finally, update diagnostics once at boot end
       updateDiagnostics();
+      markViewerReady();
+      emitViewerEvent('ready', viewerSummary());
     })();
   }
 
@@ -1962,6 +5384,8 @@
     }
     n.style.display = 'block';
     n.textContent = (title ? (title + ': ') : '') + (msg || '');
+    // the embedding bridge re-emits this as its "error" event
+    window.dispatchEvent(new CustomEvent('dispatchviewer:topError', { detail: { level: title === 'Warning' ? 'warning' : 'error', title: title || '', message: String(msg || '') } }));
     setTimeout(() => { n.style.display = 'none'; }, 5000);
   }
   function positionSnapHelper() {
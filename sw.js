@@ -0,0 +1,192 @@
+// sw.js — offline cache for the Selected Zones Viewer (registered by apps.js when cfg.offline.enabled / ?offline=1)
+// - Shell + vendored libs (./vendor) precached at install; the CDN URLs index.html / ensureLibs() ask for are
+//   answered from those copies, so the page keeps its CDN tags and still boots with no signal.
+//   Not covered: leaflet-boundary-canvas (the optional basemap mask). It isn't vendored and goes to unpkg like
+//   any other request, so offline the mask is simply absent — apps.js already treats the plugin as optional.
+// - Config + layer GeoJSON: network first, last good copy offline (default cfg's layers at install, the page
+//   posts its own cfg + layer URLs once loaded).
+// - Selection / customer CSVs: network first; offline → last good copy, stamped with X-SW-Stale-Since.
+// - Basemap tiles: cache first, capped at TILE_CACHE_MAX entries (oldest dropped first); the page posts the
+//   selection's tiles for the fitWithHints zoom range, for self-hosted / allowPrecache basemaps only.
+
+const VERSION = 'v2';
+const SHELL_CACHE = `maplayers-shell-${VERSION}`;
+const DATA_CACHE  = 'maplayers-data';
+const TILE_CACHE  = 'maplayers-tiles';
+const TILE_CACHE_MAX = 5000;
+const FETCHED_HEADER = 'X-SW-Fetched-At';
+const STALE_HEADER   = 'X-SW-Stale-Since';
+
+const VENDOR_FILES = [
+  './vendor/leaflet/leaflet.js',
+  './vendor/leaflet/leaflet.css',
+  './vendor/leaflet/images/layers.png',
+  './vendor/leaflet/images/layers-2x.png',
+  './vendor/leaflet/images/marker-icon.png',
+  './vendor/leaflet/images/marker-icon-2x.png',
+  './vendor/leaflet/images/marker-shadow.png',
+  './vendor/turf/turf.min.js',
+  './vendor/leaflet-image/leaflet-image.js',
+  './vendor/html2canvas/html2canvas.min.js',
+  './vendor/jspdf/jspdf.umd.min.js'
+];
+const SHELL_FILES = ['./', './index.html', './apps.js', './config/app.config.json', ...VENDOR_FILES];
+
+// CDN URL (exact, or prefix when it ends in "/") → vendored copy
+const VENDOR_MAP = [
+  ['https://unpkg.com/leaflet@1.9.4/dist/',                                './vendor/leaflet/'],
+  ['https://unpkg.com/@turf/turf@6.5.0/turf.min.js',                       './vendor/turf/turf.min.js'],
+  ['https://cdn.jsdelivr.net/npm/@turf/turf@6.5.0/turf.min.js',            './vendor/turf/turf.min.js'],
+  ['https://unpkg.com/leaflet-image/leaflet-image.js',                     './vendor/leaflet-image/leaflet-image.js'],
+  ['https://unpkg.com/leaflet-image@0.0.4/leaflet-image.js',               './vendor/leaflet-image/leaflet-image.js'],
+  ['https://cdn.jsdelivr.net/npm/html2canvas@1.4.1/dist/html2canvas.min.js', './vendor/html2canvas/html2canvas.min.js'],
+  ['https://cdn.jsdelivr.net/npm/jspdf@2.5.1/dist/jspdf.umd.min.js',       './vendor/jspdf/jspdf.umd.min.js']
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL_FILES);
+    // best effort: the default cfg's layer files (a ?cfg= override is posted by the page later)
+    try {
+      const cfg = await (await fetch('./config/app.config.json', { cache: 'no-store' })).json();
+      await precacheData(layerUrlsFromCfg(cfg, self.registration.scope));
+    } catch {}
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(n => n.startsWith('maplayers-shell-') && n !== SHELL_CACHE).map(n => caches.delete(n)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', (event) => {
+  const msg = event.data || {};
+  if (msg.type === 'precache') event.waitUntil(precacheData(msg.urls || []));
+  else if (msg.type === 'cacheTiles') event.waitUntil(precacheTiles(msg.urls || [], event.source));
+});
+
+self.addEventListener('fetch', (event) => {
+  const req = event.request;
+  if (req.method !== 'GET') return;
+  const url = req.url;
+
+  const vendored = vendorPathFor(url);
+  if (vendored) { event.respondWith(fromVendor(vendored, req)); return; }
+  if (isTileUrl(url)) { event.respondWith(tileCacheFirst(req)); return; }
+  if (isCsvUrl(url)) { event.respondWith(networkFirst(req, DATA_CACHE, true)); return; }
+
+  const sameOrigin = new URL(url).origin === self.location.origin;
+  if (sameOrigin && /\.(geo)?json(\?|$)/i.test(url)) { event.respondWith(networkFirst(req, DATA_CACHE, true)); return; }
+  if (sameOrigin) event.respondWith(networkFirst(req, SHELL_CACHE, false));
+});
+
+// ---------- strategies ----------
+async function networkFirst(req, cacheName, markStale) {
+  const cache = await caches.open(cacheName);
+  // navigations carry the whole viewer state in the query (?batch=…&view=…); the document itself doesn't vary
+  const key = req.mode === 'navigate' ? absUrl(req.url).split('?')[0] : absUrl(req.url);
+  try {
+    const res = await fetch(req);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    await cache.put(key, await stamped(res.clone()));
+    return res;
+  } catch (err) {
+    const hit = await cache.match(key) || await caches.match(key);
+    if (!hit) return Response.error();
+    if (!markStale) return hit;
+    const headers = new Headers(hit.headers);
+    headers.set(STALE_HEADER, hit.headers.get(FETCHED_HEADER) || new Date(0).toISOString());
+    return new Response(await hit.blob(), { status: 200, statusText: 'OK (offline copy)', headers });
+  }
+}
+
+async function fromVendor(path, req) {
+  const hit = await caches.match(new URL(path, self.registration.scope).href);
+  if (hit) return hit;
+  try { return await fetch(req); } catch { return fetch(path); }
+}
+
+async function tileCacheFirst(req) {
+  const cache = await caches.open(TILE_CACHE);
+  const key = tileKey(req.url);
+  const hit = await cache.match(key);
+  if (hit) return hit;
+  try {
+    const res = await fetch(req);
+    if (res.ok) { await cache.put(key, res.clone()); tileAdded(); }
+    return res;
+  } catch {
+    return Response.error();
+  }
+}
+
+// ---------- precache helpers ----------
+async function precacheData(urls) {
+  const cache = await caches.open(DATA_CACHE);
+  for (const u of urls) {
+    try {
+      const res = await fetch(u, { cache: 'no-store' });
+      if (res.ok) await cache.put(absUrl(u), await stamped(res));
+    } catch {}
+  }
+}
+
+// Sequential on purpose: OSM's tile policy frowns on bulk parallel downloads
+async function precacheTiles(urls, client) {
+  const cache = await caches.open(TILE_CACHE);
+  let done = 0, fetched = 0;
+  for (const u of urls) {
+    const key = tileKey(u);
+    try {
+      if (!(await cache.match(key))) {
+        const res = await fetch(u, { mode: 'cors' });
+        if (res.ok) { await cache.put(key, res); fetched++; tileAdded(); }
+      }
+    } catch {}
+    done++;
+    if (client && (done % 50 === 0 || done === urls.length)) client.postMessage({ type: 'tilesCached', done, total: urls.length, fetched });
+  }
+  await trimTileCache();
+}
+
+// Cache keys come back in insertion order, so trimming from the front drops the tiles cached longest ago.
+// Listing keys isn't cheap — trim once every 100 new tiles (and after each precache run).
+let tilesSinceTrim = 0;
+function tileAdded() {
+  if (++tilesSinceTrim >= 100) trimTileCache();
+}
+async function trimTileCache() {
+  tilesSinceTrim = 0;
+  const cache = await caches.open(TILE_CACHE);
+  const keys = await cache.keys();
+  for (const req of keys.slice(0, Math.max(0, keys.length - TILE_CACHE_MAX))) await cache.delete(req);
+}
+
+async function stamped(res) {
+  const headers = new Headers(res.headers);
+  headers.set(FETCHED_HEADER, new Date().toISOString());
+  return new Response(await res.blob(), { status: res.status, statusText: res.statusText, headers });
+}
+
+// ---------- URL helpers ----------
+function vendorPathFor(url) {
+  for (const [from, to] of VENDOR_MAP) {
+    if (from.endsWith('/') ? url.startsWith(from) : url === from) return from.endsWith('/') ? to + url.slice(from.length) : to;
+  }
+  return null;
+}
+function isTileUrl(url) { return /\/\d+\/\d+\/\d+(@2x)?\.(png|jpe?g|webp)(\?|$)/i.test(url); }
+function isCsvUrl(url) { return /[?&]output=csv\b|\.csv(\?|$)/i.test(url); }
+// {a,b,c}.tile.openstreetmap.org → one cache entry per z/x/y whichever subdomain Leaflet picked; the query is
+// dropped too (leaflet-image asks for ?cache=<timestamp> on every capture)
+function tileKey(url) { return url.split(/[?#]/)[0].replace(/^(https?:\/\/)[a-d]\./i, '$1'); }
+function absUrl(url) { return new URL(url, self.registration.scope).href; }
+function layerUrlsFromCfg(cfg, base) {
+  const sets = [cfg.layers, cfg.layersQuadrants, cfg.layersSubquadrants, cfg.layersUnion];
+  return sets.flatMap(arr => (arr || []).map(l => l && l.url).filter(Boolean)).map(u => new URL(u, base).href);
+}